@@ -0,0 +1,69 @@
+#!/usr/bin/env node
+'use strict';
+
+const path = require('path');
+const {explain, render} = require('../src/explain');
+
+const usage = `Usage: require-extra-explain <module-id> [options]
+
+Explain how a module id resolves.
+
+Options:
+  --basedir, -b <dir>         Resolve from this directory (default: the current directory).
+  --verbose, -v               List the directories searched and every path checked.
+  --json                      Output the trace as JSON.
+  --help, -h                  Show this message.
+`;
+
+/**
+ * Parse the command line arguments.
+ *
+ * @private
+ * @param {Array.<string>} args     The arguments.
+ * @returns {Object}                The options.
+ */
+function _parseArgs(args) {
+  const options = {};
+  const flags = {'--verbose':'verbose', '-v':'verbose', '--json':'json', '--help':'help', '-h':'help'};
+
+  for (let n=0; n<args.length; n++) {
+    if (flags.hasOwnProperty(args[n])) {
+      options[flags[args[n]]] = true;
+    } else if ((args[n] === '--basedir') || (args[n] === '-b')) {
+      options.basedir = args[++n];
+      if (options.basedir === undefined) throw new Error(`Missing value for ${args[n-1]}`);
+    } else if (!options.moduleId) {
+      options.moduleId = args[n];
+    } else {
+      throw new Error(`Unknown argument: ${args[n]}`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * Convert a trace to JSON, with errors as their code and message.
+ *
+ * @private
+ * @param {Object} trace      The trace.
+ * @returns {string}
+ */
+function _toJSON(trace) {
+  const error = (trace.error ? {code:trace.error.code, message:trace.error.message} : undefined);
+  return `${JSON.stringify(Object.assign({}, trace, {error, cache:Object.assign({}, trace.cache, {error:undefined})}), null, 2)}\n`;
+}
+
+async function main() {
+  const options = _parseArgs(process.argv.slice(2));
+  if (options.help || !options.moduleId) return process.stdout.write(usage);
+
+  const trace = await explain(options.moduleId, {basedir:path.resolve(options.basedir || process.cwd())});
+  process.stdout.write(options.json ? _toJSON(trace) : render(trace, {verbose:options.verbose}));
+  if (trace.error) process.exitCode = 1;
+}
+
+main().catch(error=>{
+  process.stderr.write(`${error.message}\n`);
+  process.exitCode = 1;
+});
@@ -0,0 +1,85 @@
+#!/usr/bin/env node
+'use strict';
+
+const path = require('path');
+const {generate} = require('../src/integrity');
+const {writeFileAtomicSync} = require('../src/fs');
+
+const usage = `Usage: require-extra-integrity <directory> [options]
+
+Generate an integrity manifest for the files in a directory.
+
+Options:
+  --output, -o <file>         Write the manifest here (default: <directory>/integrity.json).
+  --algorithm, -a <name>      sha256, sha384 or sha512 (default: sha384).
+  --exclude, -x <pattern>     Leave out paths matching the glob (can be repeated).
+  --extension, -e <ext>       Only include files with this extension (can be repeated).
+  --help, -h                  Show this message.
+`;
+
+/**
+ * Parse the command line arguments.
+ *
+ * @private
+ * @param {Array.<string>} args     The arguments.
+ * @returns {Object}                The options.
+ */
+function _parseArgs(args) {
+  const options = {exclude:[], extensions:[]};
+  const values = {
+    '--output':'output', '-o':'output',
+    '--algorithm':'algorithm', '-a':'algorithm',
+    '--exclude':'exclude', '-x':'exclude',
+    '--extension':'extensions', '-e':'extensions'
+  };
+
+  for (let n=0; n<args.length; n++) {
+    if ((args[n] === '--help') || (args[n] === '-h')) {
+      options.help = true;
+    } else if (values.hasOwnProperty(args[n])) {
+      const key = values[args[n]];
+      const value = args[++n];
+      if (value === undefined) throw new Error(`Missing value for ${args[n-1]}`);
+      if (Array.isArray(options[key])) {
+        options[key].push(value);
+      } else {
+        options[key] = value;
+      }
+    } else if (!options.root) {
+      options.root = args[n];
+    } else {
+      throw new Error(`Unknown argument: ${args[n]}`);
+    }
+  }
+
+  return options;
+}
+
+function main() {
+  const options = _parseArgs(process.argv.slice(2));
+  if (options.help || !options.root) return process.stdout.write(usage);
+
+  const root = path.resolve(options.root);
+  const output = path.resolve(options.output || path.join(root, 'integrity.json'));
+  const {version, algorithm, files} = generate(root, Object.assign(
+    {exclude:[...options.exclude, path.relative(root, output).split(path.sep).join('/')]},
+    options.algorithm ? {algorithm:options.algorithm} : {},
+    options.extensions.length ? {extensions:options.extensions} : {}
+  ));
+  const manifest = {
+    version,
+    algorithm,
+    root: path.relative(path.dirname(output), root).split(path.sep).join('/') || '.',
+    files
+  };
+
+  if (!writeFileAtomicSync(output, `${JSON.stringify(manifest, null, 2)}\n`)) throw new Error(`Could not write ${output}`);
+  process.stdout.write(`Wrote ${Object.keys(manifest.files).length} hashes to ${output}\n`);
+}
+
+try {
+  main();
+} catch(error) {
+  process.stderr.write(`${error.message}\n`);
+  process.exitCode = 1;
+}
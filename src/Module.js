@@ -4,6 +4,7 @@ const settings = require('./settings');
 const path = require('path');
 const Node_Module = require('module');
 const cache = require('./cache');
+const protocols = require('./protocols');
 const requireLike = require('require-like');
 const {isString, createLopAddIterator} = require('./util');
 
@@ -34,7 +35,7 @@ function _getRequire(config) {
   if (!config.syncRequire && !config.resolveModulePath) return requireLike(config.filename);
 
   const _requireResolver = {
-    basedir:config.basedir||path.dirname(config.filename),
+    basedir:config.basedir||protocols.dirname(config.filename),
     parent:config.filename,
     scope:config.scope,
     useSandbox:config.useSandbox,
@@ -73,6 +74,7 @@ class Module extends Node_Module {
     this.require = _getRequire(config);
     this.paths = [...createLopAddIterator(__dirname, config.moduleDirectory || 'node_modules')];
     this.loaded = false;
+    if (settings.get('hot')) this.hot = require('./watch').createHot(this);
 
     cache.set(this.filename, this);
   }
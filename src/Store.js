@@ -0,0 +1,287 @@
+'use strict';
+
+const OBJECT_SIZE = 64;
+const MAX_DEPTH = 4;
+
+/**
+ * Estimate the memory used by a value.  This is a rough guide for memory budgets, not an exact measure.
+ *
+ * @private
+ * @param {*} value               The value to measure.
+ * @param {number} [depth=0]      How deep we are in nested values.
+ * @returns {number}              Estimated size in bytes.
+ */
+function _sizeOf(value, depth=0) {
+  if (Buffer.isBuffer(value)) return value.byteLength;
+  if (typeof value === 'string') return value.length * 2;
+  if ((value === null) || (typeof value !== 'object') || (depth > MAX_DEPTH)) return 8;
+  if (Array.isArray(value)) return value.reduce((size, item)=>size + _sizeOf(item, depth+1), OBJECT_SIZE);
+  if (value instanceof Map) {
+    let size = OBJECT_SIZE;
+    value.forEach((item, key)=>{size += _sizeOf(key, depth+1) + _sizeOf(item, depth+1);});
+    return size;
+  }
+  return OBJECT_SIZE;
+}
+
+/**
+ * A Map with optional limits.  When the maximum size or memory budget is exceeded the least recently used entries
+ * are evicted; entries older than the ttl are dropped when next accessed or iterated over.  Hits, misses and evictions
+ * are counted.  Memory use is measured when an entry is set and, with a memory budget, again when a Map entry is read
+ * (so changes to nested Maps, as made by memoize, are counted).
+ *
+ * @class
+ * @extends Map
+ */
+class Store extends Map {
+  /**
+   * @param {Object} [options]                  Store options (see configure()).
+   * @param {Iterable} [entries]                Initial entries.
+   */
+  constructor(options={}, entries) {
+    super();
+    this.meta = new Map();
+    this.canEvict = options.canEvict || (()=>true);
+    this.resetStats();
+    this.configure(options);
+    if (entries) [...entries].forEach(([key, value])=>this.set(key, value));
+  }
+
+  /**
+   * Set the limits for this store, evicting straight away if now over them.
+   *
+   * @param {Object} [options]
+   * @param {number} [options.maxSize]          Maximum number of entries.
+   * @param {number} [options.maxMemory]        Memory budget in bytes (estimated).
+   * @param {number} [options.ttl]              Milliseconds before an entry expires.
+   * @returns {Store}
+   */
+  configure({maxSize, maxMemory, ttl}={}) {
+    this.maxSize = maxSize || Infinity;
+    this.maxMemory = maxMemory || Infinity;
+    this.ttl = ttl || Infinity;
+    this._evict();
+    return this;
+  }
+
+  /**
+   * Does this store have limits?
+   *
+   * @returns {boolean}
+   */
+  get bounded() {
+    return ((this.maxSize !== Infinity) || (this.maxMemory !== Infinity));
+  }
+
+  /**
+   * Get an entry, marking it as recently used.
+   *
+   * @param {*} key
+   * @returns {*}
+   */
+  get(key) {
+    if (!this._has(key)) {
+      this.stats.misses++;
+      return;
+    }
+    this.stats.hits++;
+    const value = super.get(key);
+    if (this.bounded) {
+      super.delete(key);
+      super.set(key, value);
+    }
+    if ((this.maxMemory !== Infinity) && (value instanceof Map)) this._measure(key, value);
+    return value;
+  }
+
+  /**
+   * Does the store have a (non-expired) entry?  Counts a miss if not.
+   *
+   * @param {*} key
+   * @returns {boolean}
+   */
+  has(key) {
+    if (this._has(key)) return true;
+    this.stats.misses++;
+    return false;
+  }
+
+  /**
+   * Set an entry, evicting older entries if over the limits.
+   *
+   * @param {*} key
+   * @param {*} value
+   * @returns {Store}
+   */
+  set(key, value) {
+    const size = ((this.maxMemory !== Infinity) ? _sizeOf(value) : 0);
+    if (super.has(key)) this._forget(key);
+    super.set(key, value);
+    this.meta.set(key, {time:Date.now(), size});
+    this.memory += size;
+    this._evict(key);
+    return this;
+  }
+
+  /**
+   * Delete an entry.
+   *
+   * @param {*} key
+   * @returns {boolean}
+   */
+  delete(key) {
+    if (!super.has(key)) return false;
+    this._forget(key);
+    return super.delete(key);
+  }
+
+  /**
+   * The number of (non-expired) entries, dropping any that have expired.
+   *
+   * @returns {number}
+   */
+  get size() {
+    if (this.ttl === Infinity) return super.size;
+    let size = 0;
+    for (const key of super.keys()) {
+      if (this._has(key)) size++;
+    }
+    return size;
+  }
+
+  /**
+   * Iterate over the (non-expired) entries, dropping any that have expired.
+   *
+   * @returns {Iterator.<Array>}
+   */
+  *entries() {
+    for (const entry of super.entries()) {
+      if (this._has(entry[0])) yield entry;
+    }
+  }
+
+  /**
+   * Iterate over the (non-expired) keys.
+   *
+   * @returns {Iterator}
+   */
+  *keys() {
+    for (const [key] of this.entries()) yield key;
+  }
+
+  /**
+   * Iterate over the (non-expired) values.
+   *
+   * @returns {Iterator}
+   */
+  *values() {
+    for (const [, value] of this.entries()) yield value;
+  }
+
+  /**
+   * Iterate over the (non-expired) entries.
+   *
+   * @returns {Iterator.<Array>}
+   */
+  [Symbol.iterator]() {
+    return this.entries();
+  }
+
+  /**
+   * Call a function for each (non-expired) entry.
+   *
+   * @param {Function} callback     Receives (value, key, store).
+   * @param {*} [thisArg]           The this for the callback.
+   */
+  forEach(callback, thisArg) {
+    for (const [key, value] of this.entries()) callback.call(thisArg, value, key, this);
+  }
+
+  /**
+   * Remove all entries.  Stats are kept, use resetStats() to clear them.
+   */
+  clear() {
+    super.clear();
+    this.meta.clear();
+    this.memory = 0;
+  }
+
+  /**
+   * Get the stats for this store.
+   *
+   * @returns {Object}    Stats in the format {size, memory, hits, misses, evictions, expired}.
+   */
+  getStats() {
+    const size = this.size; // Drops expired entries first, so they are not in the memory use.
+    return Object.assign({size, memory:this.memory}, this.stats);
+  }
+
+  /**
+   * Reset the hit, miss and eviction counts.
+   */
+  resetStats() {
+    this.stats = {hits:0, misses:0, evictions:0, expired:0};
+    if (this.memory === undefined) this.memory = 0;
+  }
+
+  /**
+   * Check for an entry, dropping it if expired.
+   *
+   * @private
+   * @param {*} key
+   * @returns {boolean}
+   */
+  _has(key) {
+    if (!super.has(key)) return false;
+    if ((this.ttl === Infinity) || ((Date.now() - this.meta.get(key).time) < this.ttl)) return true;
+    if (!this.canEvict(key, super.get(key))) return true;
+    this.delete(key);
+    this.stats.expired++;
+    return false;
+  }
+
+  /**
+   * Remove the record of an entry's memory use.
+   *
+   * @private
+   * @param {*} key
+   */
+  _forget(key) {
+    const meta = this.meta.get(key);
+    if (meta) this.memory -= meta.size;
+    this.meta.delete(key);
+  }
+
+  /**
+   * Re-measure the memory use of an entry, evicting other entries if now over the budget.
+   *
+   * @private
+   * @param {*} key
+   * @param {*} value
+   */
+  _measure(key, value) {
+    const meta = this.meta.get(key);
+    const size = _sizeOf(value);
+    this.memory += size - meta.size;
+    meta.size = size;
+    this._evict(key);
+  }
+
+  /**
+   * Evict the least recently used entries until within the limits.
+   *
+   * @private
+   * @param {*} [keep]      Key not to evict (the one just set).
+   */
+  _evict(keep) {
+    if (!this.bounded) return;
+    for (const [key, value] of super.entries()) {
+      if ((super.size <= this.maxSize) && (this.memory <= this.maxMemory)) return;
+      if ((key === keep) || !this.canEvict(key, value)) continue;
+      this.delete(key);
+      this.stats.evictions++;
+    }
+  }
+}
+
+module.exports = Store;
@@ -0,0 +1,96 @@
+'use strict';
+
+const {AbortError} = require('./errors');
+
+/**
+ * Get the error to throw for an aborted signal.
+ *
+ * @public
+ * @param {AbortSignal} signal      The aborted signal.
+ * @returns {AbortError}
+ */
+function getAbortError(signal) {
+  if (signal.reason instanceof AbortError) return signal.reason;
+  return new AbortError(undefined, {cause:signal.reason});
+}
+
+/**
+ * Throw an AbortError if the given signal has been aborted.
+ *
+ * @public
+ * @param {AbortSignal} [signal]      The signal to check.
+ */
+function throwIfAborted(signal) {
+  if (signal && signal.aborted) throw getAbortError(signal);
+}
+
+/**
+ * Race a promise against a signal, rejecting with an AbortError if the signal aborts first.  The original operation
+ * carries on; callers should check the signal before keeping its results.
+ *
+ * @public
+ * @param {Promise} promise           The promise to race.
+ * @param {AbortSignal} [signal]      The signal.
+ * @returns {Promise}
+ */
+function abortable(promise, signal) {
+  if (!signal) return promise;
+  Promise.resolve(promise).catch(()=>{}); // Its rejection is not wanted if the signal wins.
+  if (signal.aborted) return Promise.reject(getAbortError(signal));
+
+  let onAbort;
+  const aborted = new Promise((resolve, reject)=>{
+    onAbort = ()=>reject(getAbortError(signal));
+    signal.addEventListener('abort', onAbort, {once:true});
+  });
+
+  return Promise.race([promise, aborted]).then(result=>{
+    signal.removeEventListener('abort', onAbort);
+    return result;
+  }, error=>{
+    signal.removeEventListener('abort', onAbort);
+    throw error;
+  });
+}
+
+/**
+ * Create the signal for an operation from its options.  If a timeout is given, the signal aborts after that many
+ * milliseconds, or when the given signal aborts, whichever is first.
+ *
+ * @public
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal]      Signal to follow.
+ * @param {number} [options.timeout]          Timeout in milliseconds.
+ * @returns {Object}                          Object in the format {signal, wrap, clear}, where wrap(promise) races the
+ *                                            promise against the signal and clears any timer once settled.
+ */
+function createAbort({signal, timeout}={}) {
+  if (!timeout) return {signal, wrap:promise=>abortable(promise, signal), clear:()=>{}};
+
+  const controller = new AbortController();
+  const onAbort = ()=>controller.abort(signal.reason);
+  const timer = setTimeout(()=>controller.abort(new AbortError(`Timed out after ${timeout}ms`, {timeout})), timeout);
+  if (timer.unref) timer.unref();
+  if (signal) {
+    if (signal.aborted) onAbort();
+    signal.addEventListener('abort', onAbort, {once:true});
+  }
+
+  const clear = ()=>{
+    clearTimeout(timer);
+    if (signal) signal.removeEventListener('abort', onAbort);
+  };
+  const wrap = promise=>abortable(promise, controller.signal).then(result=>{
+    clear();
+    return result;
+  }, error=>{
+    clear();
+    throw error;
+  });
+
+  return {signal:controller.signal, wrap, clear};
+}
+
+module.exports = {
+  createAbort, abortable, throwIfAborted, getAbortError
+};
@@ -0,0 +1,187 @@
+'use strict';
+
+const path = require('path');
+const graph = require('./graph');
+const cache = require('./cache');
+const loaders = require('./loaders');
+const transforms = require('./transforms');
+const esm = require('./esm');
+const Resolver = require('./resolver');
+const {requireAsync, resolveModulePath} = require('./require');
+const {isFunction, readFile, getCallingDir, writeFileAtomicSync} = require('./util');
+const {fileCache} = require('./stores');
+const virtual = require('./virtual');
+const protocols = require('./protocols');
+
+/**
+ * The runtime serving require() from the bundle.  Core modules and packages not loaded through requireX fall through
+ * to the native require; relative and absolute requests not in the bundle throw.
+ *
+ * @private
+ * @type {string}
+ */
+const runtime = `(function (modules, entry) {
+  'use strict';
+  var path = require('path');
+  var cache = Object.create(null);
+  var has = Object.prototype.hasOwnProperty;
+
+  function toFilename(id) {
+    return (/^[a-z][a-z0-9+.-]+:/i.test(id) ? id : path.resolve(__dirname, id));
+  }
+
+  function notBundled(request, id) {
+    var error = new Error('Cannot find module ' + JSON.stringify(request) + ' from ' + toFilename(id) + ', it is not bundled');
+    error.code = 'MODULE_NOT_BUNDLED';
+    return error;
+  }
+
+  function isPath(request) {
+    return (/^\\.{1,2}(?:[\\/\\\\]|$)/.test(request) || path.isAbsolute(request));
+  }
+
+  function createRequire(id, module) {
+    var requests = modules[id][1];
+    var _require = function (request) {
+      if (has.call(requests, request)) return load(requests[request], module);
+      if (isPath(request)) throw notBundled(request, id);
+      return require(request);
+    };
+    _require.resolve = function (request) {
+      if (has.call(requests, request)) return toFilename(requests[request]);
+      if (isPath(request)) throw notBundled(request, id);
+      return require.resolve(request);
+    };
+    _require.cache = cache;
+    return _require;
+  }
+
+  function load(id, parent) {
+    if (cache[id]) return cache[id].exports;
+    var filename = toFilename(id);
+    var module = {id:filename, filename:filename, exports:{}, parent:parent, children:[], loaded:false};
+    module.require = createRequire(id, module);
+    if (parent) parent.children.push(module);
+    cache[id] = module;
+    try {
+      modules[id][0].call(module.exports, module.exports, module.require, module, filename, path.dirname(filename));
+    } catch (error) {
+      delete cache[id];
+      throw error;
+    }
+    module.loaded = true;
+    return module.exports;
+  }
+
+  module.exports = load(entry);
+})`;
+
+/**
+ * Get the id for a file in the bundle (its path relative to the bundle, in posix format).  Modules read through a
+ * protocol keep their id.
+ *
+ * @private
+ * @param {string} root           The directory of the bundle.
+ * @param {string} filename       The file.
+ * @returns {string}
+ */
+function _getId(root, filename) {
+  if (protocols.find(filename)) return filename;
+  return path.relative(root, filename).split(path.sep).join('/');
+}
+
+/**
+ * Get the modules to bundle, walking the graph from the entry.  Only edges from an actual require or import are
+ * followed, modules that were only prefetched were never evaluated.
+ *
+ * @private
+ * @param {string} entry        The entry filename.
+ * @returns {Map}               Map of filename against the requests it makes, in the format {request: filename}.
+ */
+function _getModules(entry) {
+  const modules = new Map();
+  const walk = filename=>{
+    if (modules.has(filename)) return;
+    const requests = {};
+    modules.set(filename, requests);
+    (graph.get(filename) || {children:[]}).children.forEach(child=>{
+      if (!path.isAbsolute(child) && !protocols.find(child)) return; // Core modules are left to the native require.
+      const {requests:_requests, types} = graph.getEdge(filename, child);
+      if (!types.some(type=>(type !== 'prefetch'))) return;
+      _requests.forEach(request=>{requests[request] = child;});
+      walk(child);
+    });
+  };
+
+  walk(entry);
+  return modules;
+}
+
+/**
+ * Get the code for a module in the bundle.  Scripts are inlined with any global transforms applied; files loaded
+ * by other loaders (eg. json or yaml) are inlined as their exports, so these must be serialisable as JSON.
+ *
+ * @private
+ * @param {string} filename             The file.
+ * @returns {Promise.<string>}          The module function.
+ */
+async function _getModuleCode(filename) {
+  const [loader] = loaders.find(protocols.getLoaderName(filename));
+  const name = (loader ? loader.name : 'js');
+
+  if (name === 'js') {
+    const content = (virtual.has(filename) ?
+      virtual.read(filename) :
+      (protocols.find(filename) ? await protocols.read(filename) : await readFile(filename, fileCache))
+    ).toString();
+    const transformed = transforms.apply({filename, content});
+    const code = (transformed ? (isFunction(transformed.then) ? await transformed : transformed).code : content);
+    if (esm.isModule(filename, code)) throw new Error(`Cannot bundle ${filename}, ES modules are not supported.`);
+    return `function (exports, require, module, __filename, __dirname) {\n${code.replace(/^#!.*/, '')}\n}`;
+  }
+  if ((name === 'mjs') || (name === 'node')) {
+    throw new Error(`Cannot bundle ${filename}, ${(name === 'mjs') ? 'ES modules' : 'native addons'} are not supported.`);
+  }
+
+  if (!cache.has(filename)) throw new Error(`Cannot bundle ${filename}, it has not been loaded.`);
+  const json = JSON.stringify(cache.get(filename).exports, null, 2);
+  if (json === undefined) throw new Error(`Cannot bundle ${filename}, the ${name} loader exports cannot be serialised.`);
+  return `function (exports, require, module) {\nmodule.exports = ${json};\n}`;
+}
+
+/**
+ * Bundle a module and everything it loaded through requireX into a single file.  The entry is loaded first if it
+ * has not been already; dependencies are those recorded in the graph, so modules required conditionally are only
+ * included if they were required during the load.
+ *
+ * @public
+ * @param {string} entry                    The entry module.
+ * @param {Object} [options]
+ * @param {string} [options.output]         File to write the bundle to (module paths in the bundle are relative
+ *                                          to it).
+ * @param {string} [options.basedir]        Directory to resolve the entry from, defaults to the calling directory.
+ * @returns {Promise.<string>}              The bundle code.
+ */
+async function bundle(entry, {output, basedir=getCallingDir()}={}) {
+  const userResolver = new Resolver({basedir});
+  const filename = await resolveModulePath(userResolver, entry);
+  if (!cache.has(filename)) await requireAsync(userResolver, filename);
+
+  const root = (output ? path.dirname(path.resolve(output)) : path.dirname(filename));
+  const modules = _getModules(filename);
+  const code = await Promise.all([...modules].map(async ([filename, requests])=>{
+    const _requests = {};
+    Object.keys(requests).sort().forEach(request=>{_requests[request] = _getId(root, requests[request]);});
+    return `${JSON.stringify(_getId(root, filename))}: [${await _getModuleCode(filename)}, ${JSON.stringify(_requests)}]`;
+  }));
+
+  const bundled = `${runtime}({\n${code.join(',\n')}\n}, ${JSON.stringify(_getId(root, filename))});\n`;
+  if (output && !writeFileAtomicSync(path.resolve(output), bundled)) {
+    throw new Error(`Could not write bundle to ${output}`);
+  }
+  return bundled;
+}
+
+module.exports = {
+  bundle
+};
@@ -4,6 +4,7 @@ const Module = require('module');
 const {getRequire} = require('./util');
 const fs = require('fs');
 const settings = require('./settings');
+const sourceMaps = require('./sourceMaps');
 const refs = new Map();
 const refLookup = new Map();
 
@@ -84,7 +85,7 @@ class Cache {
   }
 
   /**
-   * Delete a given module from the cache.
+   * Delete a given module from the cache, along with its source map.
    *
    * @param {string} property   Module to delete.
    * @returns {boolean}         Was anything deleted?
@@ -92,6 +93,7 @@ class Cache {
   delete(property) {
     if (this.has(property)) {
       delete globalCache[property];
+      sourceMaps.unregister(property);
       const ref = getRef(property);
       if (ref) return refs.delete(ref);
       return true;
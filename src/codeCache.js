@@ -0,0 +1,165 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const settings = require('./settings');
+const {hash, writeFileAtomicSync} = require('./util');
+
+const stats = {hits:0, misses:0, rejected:0, writes:0, errors:0};
+const pending = new WeakMap();
+
+/**
+ * Get the directory for the code cache, if one is in use.
+ *
+ * @private
+ * @returns {string|undefined}
+ */
+function _getCacheDir() {
+  const cacheDir = settings.get('codeCacheDir');
+  if (cacheDir) return path.resolve(cacheDir);
+}
+
+/**
+ * Get the name of the sub-directory for cache files from this V8 version and set of flags.  Cached data from another
+ * version or with other flags is always rejected, so each gets its own directory and they can share a cache without
+ * pruning each other's files.
+ *
+ * @private
+ * @returns {string}
+ */
+function _getVersionDir() {
+  const flags = [...process.execArgv, process.env.NODE_OPTIONS || ''].join('\0');
+  return `v8-${process.versions.v8}-${hash(flags)}`;
+}
+
+/**
+ * Get the cache file path for given script.  Keyed on the V8 version and flags (as a directory), the filename and the
+ * content.
+ *
+ * @private
+ * @param {string} cacheDir     The cache directory.
+ * @param {string} filename     The script filename.
+ * @param {string} code         The script code.
+ * @returns {string}            The cache file path.
+ */
+function _getCachePath(cacheDir, filename, code) {
+  return path.join(cacheDir, _getVersionDir(), `${hash(filename)}-${hash(code)}.bin`);
+}
+
+/**
+ * Read cached data, returning undefined if not available.
+ *
+ * @private
+ * @param {string} cachePath          The cache file.
+ * @returns {Buffer|undefined}
+ */
+function _readCachedData(cachePath) {
+  try {
+    return fs.readFileSync(cachePath);
+  } catch(err) {
+    if (err.code !== 'ENOENT') stats.errors++;
+  }
+}
+
+/**
+ * Create a vm.Script, using the on-disk code cache if the 'codeCacheDir' setting is set.
+ *
+ * @public
+ * @param {string} code           The script code.
+ * @param {Object} options        Options for vm.Script.
+ * @returns {vm.Script}
+ */
+function createScript(code, options) {
+  const cacheDir = _getCacheDir();
+  if (!cacheDir || !options.filename) return new vm.Script(code, options);
+
+  const cachePath = _getCachePath(cacheDir, options.filename, code);
+  const cachedData = _readCachedData(cachePath);
+  const script = new vm.Script(code, Object.assign({}, options, cachedData ? {cachedData} : {}));
+
+  if (cachedData && !script.cachedDataRejected) {
+    stats.hits++;
+  } else {
+    stats[cachedData ? 'rejected' : 'misses']++;
+    pending.set(script, cachePath);
+  }
+
+  return script;
+}
+
+/**
+ * Delete the other cache files for the same script filename as the given cache file.  These are stale, from older
+ * content.  Files for other V8 versions or flags are in other directories, so are left alone.
+ *
+ * @private
+ * @param {string} cachePath      The cache file to keep.
+ */
+function _prune(cachePath) {
+  const cacheDir = path.dirname(cachePath);
+  const prefix = `${path.basename(cachePath).split('-')[0]}-`;
+  try {
+    fs.readdirSync(cacheDir)
+      .filter(file=>(file.startsWith(prefix) && (path.extname(file) === '.bin') && (file !== path.basename(cachePath))))
+      .forEach(file=>fs.unlinkSync(path.join(cacheDir, file)));
+  } catch(err) {}
+}
+
+/**
+ * Save the cached data for a script created by createScript(), if it was not found in the cache.  Best called after
+ * the script has run, so functions compiled during the run are included.  Stale cache files for the same script are
+ * deleted.
+ *
+ * @public
+ * @param {vm.Script} script      The script.
+ * @returns {boolean}             Was anything saved?
+ */
+function save(script) {
+  if (!script || !pending.has(script)) return false;
+  const cachePath = pending.get(script);
+  pending.delete(script);
+
+  try {
+    if (writeFileAtomicSync(cachePath, script.createCachedData())) {
+      stats.writes++;
+      _prune(cachePath);
+      return true;
+    }
+  } catch(err) {}
+
+  stats.errors++;
+  return false;
+}
+
+/**
+ * Get the code cache statistics.
+ *
+ * @public
+ * @returns {Object}    Stats in the format {hits, misses, rejected, writes, errors}.
+ */
+function getStats() {
+  return Object.assign({}, stats);
+}
+
+/**
+ * Reset the statistics and optionally delete the cache files (for every V8 version).
+ *
+ * @public
+ * @param {boolean} [deleteFiles=false]     Delete the files in the cache directory?
+ */
+function clear(deleteFiles=false) {
+  Object.keys(stats).forEach(key=>{stats[key] = 0;});
+  const cacheDir = _getCacheDir();
+  if (!deleteFiles || !cacheDir) return;
+  try {
+    fs.readdirSync(cacheDir, {withFileTypes:true}).forEach(file=>{
+      const filePath = path.join(cacheDir, file.name);
+      if (file.isDirectory() && file.name.startsWith('v8-')) return fs.rmSync(filePath, {recursive:true, force:true});
+      if (path.extname(file.name) === '.bin') fs.unlinkSync(filePath);
+    });
+  } catch(err) {}
+}
+
+module.exports = {
+  createScript, save, stats:getStats, clear
+};
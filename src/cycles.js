@@ -0,0 +1,124 @@
+'use strict';
+
+const settings = require('./settings');
+const emitter = require('./events');
+const {CycleError} = require('./errors');
+
+const loading = new Map();
+const found = new Map();
+
+/**
+ * Get the filename of a parent, which can be a Module or a path.
+ *
+ * @private
+ * @param {Module|string} [parent]      The parent.
+ * @returns {string|undefined}
+ */
+function _getFilename(parent) {
+  return (parent || {}).filename || parent;
+}
+
+/**
+ * Record that a module has started loading.
+ *
+ * @public
+ * @param {string} filename             The module.
+ * @param {Module|string} [parent]      The module loading it.
+ */
+function enter(filename, parent) {
+  loading.set(filename, _getFilename(parent));
+}
+
+/**
+ * Record that a module has finished loading (or failed to).
+ *
+ * @public
+ * @param {string} filename     The module.
+ */
+function exit(filename) {
+  loading.delete(filename);
+}
+
+/**
+ * Get the chain from a module still loading down to the parent now requiring it again.
+ *
+ * @private
+ * @param {string} filename             The module being required.
+ * @param {string} parent               The module requiring it.
+ * @returns {Array.<string>|undefined}  The chain (starting and ending with filename) or undefined if not a cycle.
+ */
+function _getChain(filename, parent) {
+  const chain = [filename];
+  for (let current=parent; current!==undefined; current=loading.get(current)) {
+    if (current === filename) return [...chain, filename].reverse();
+    if (chain.includes(current) || !loading.has(current)) return;
+    chain.push(current);
+  }
+}
+
+/**
+ * Check a require of a module already in the cache.  If the module is one of those still loading the requiring module,
+ * a cycle event is fired and the cycle recorded for the report.  With the 'strictCycles' setting on, a CycleError is
+ * thrown.
+ *
+ * @public
+ * @param {string} filename             The module being required.
+ * @param {Module|string} [parent]      The module requiring it.
+ * @returns {Array.<string>|undefined}  The chain if a cycle was found.
+ */
+function check(filename, parent) {
+  if (!loading.has(filename)) return;
+  const source = _getFilename(parent);
+  const chain = _getChain(filename, source);
+  if (!chain) return;
+
+  const key = chain.join('\0');
+  if (found.has(key)) {
+    found.get(key).count++;
+  } else {
+    found.set(key, {chain, count:1});
+  }
+
+  emitter.emit('cycle', new emitter.Cycle({target:filename, source, chain, sync:true}));
+  if (settings.get('strictCycles')) throw new CycleError(chain);
+  return chain;
+}
+
+/**
+ * Get the chain of modules still loading that leads to the given module.
+ *
+ * @public
+ * @param {Module|string} [parent]      The module.
+ * @returns {Array.<string>}            The chain, starting with the first module loaded and ending with the given one
+ *                                      (empty if no module is given).
+ */
+function getChain(parent) {
+  const chain = [];
+  for (let current=_getFilename(parent); (current!==undefined) && !chain.includes(current); current=loading.get(current)) {
+    chain.unshift(current);
+  }
+  return chain;
+}
+
+/**
+ * Get the cycles found so far.
+ *
+ * @public
+ * @returns {Array.<Object>}      Cycles in the format {chain, count}.
+ */
+function report() {
+  return [...found.values()].map(({chain, count})=>({chain:[...chain], count}));
+}
+
+/**
+ * Clear the cycles found.
+ *
+ * @public
+ */
+function clear() {
+  found.clear();
+}
+
+module.exports = {
+  enter, exit, check, getChain, report, clear
+};
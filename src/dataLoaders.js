@@ -0,0 +1,108 @@
+'use strict';
+
+const path = require('path');
+const settings = require('./settings');
+const loaders = require('./loaders');
+const emitter = require('./events');
+const {ParseError} = require('./errors');
+
+/**
+ * Get the line and column (both starting at 1) for a character position in some text.
+ *
+ * @private
+ * @param {string} text         The text.
+ * @param {number} position     The character position.
+ * @returns {Object}            Object in the format {line, column}.
+ */
+function _getLineColumn(text, position) {
+  const lines = text.substring(0, position).split(/\r?\n/);
+  return {line:lines.length, column:lines[lines.length-1].length + 1};
+}
+
+/**
+ * Getters for the error position from different parsers' errors.
+ *
+ * @private
+ * @type {Object.<Function>}
+ */
+const positions = {
+  json: (error, text)=>{
+    const lineColumn = /line (\d+) column (\d+)/.exec(error.message);
+    if (lineColumn) return {line:parseInt(lineColumn[1], 10), column:parseInt(lineColumn[2], 10)};
+    const position = /position (\d+)/.exec(error.message);
+    if (position) return _getLineColumn(text, parseInt(position[1], 10));
+    return {};
+  },
+  yaml: error=>(error.mark ? {line:error.mark.line + 1, column:error.mark.column + 1} : {}),
+  json5: error=>({line:error.lineNumber, column:error.columnNumber}),
+  toml: error=>((error.line !== undefined) ? {line:error.line + 1, column:error.col + 1} : {})
+};
+
+/**
+ * Create a load function for a loader from a parse function.  Parse errors are converted to a ParseError with the
+ * file, line and column, and fired through the Error event.  If a listener calls ignored(true) on the event, the
+ * exports will be undefined rather than throwing.
+ *
+ * @private
+ * @param {Function} parse                  Parse function, receives the file text.
+ * @param {Function} [getPosition]          Function to get the line and column from a parse error.
+ * @returns {Function}                      The load function.
+ */
+function _createLoad(parse, getPosition=()=>({})) {
+  return function(content, config) {
+    const text = (Buffer.isBuffer(content) ? content.toString() : content).replace(/^\uFEFF/, '');
+    try {
+      return parse(text);
+    } catch(error) {
+      const parseError = new ParseError(
+        (error.reason || error.message.split(/\r?\n/)[0]).replace(/:\s*$/, ''),
+        Object.assign({filename:config.filename, cause:error}, getPosition(error, text))
+      );
+      const errorEvent = new emitter.Error({
+        target:config.filename,
+        source:(config.parent || {}).filename || config.parent,
+        error:parseError
+      });
+      emitter.emit('error', errorEvent);
+      if (!errorEvent.ignored()) throw parseError;
+    }
+  };
+}
+
+loaders.register({
+  name: 'json',
+  extensions: ['.json'],
+  load: _createLoad(text=>JSON.parse(text), positions.json)
+});
+
+loaders.register({
+  name: 'json5',
+  extensions: ['.json5'],
+  load: _createLoad(text=>require('json5').parse(text), positions.json5)
+});
+
+loaders.register({
+  name: 'yaml',
+  extensions: ['.yaml', '.yml'],
+  load: _createLoad(text=>require('js-yaml').load(text), positions.yaml)
+});
+
+loaders.register({
+  name: 'toml',
+  extensions: ['.toml'],
+  load: _createLoad(text=>require('@iarna/toml').parse(text), positions.toml)
+});
+
+loaders.register({
+  name: 'ini',
+  extensions: ['.ini'],
+  load: _createLoad(text=>require('ini').parse(text))
+});
+
+loaders.register({
+  name: 'env',
+  test: filename=>/^\.env(?:\..+)?$|\.env$/.test(path.basename(filename)),
+  load: _createLoad(text=>require('dotenv').parse(text))
+});
+
+settings.add('extensions', '.env');
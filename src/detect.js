@@ -0,0 +1,136 @@
+'use strict';
+
+const acorn = require('acorn');
+const walk = require('acorn-walk');
+
+const conditionalTypes = new Set([
+  'IfStatement', 'ConditionalExpression', 'LogicalExpression', 'SwitchStatement', 'TryStatement', 'CatchClause'
+]);
+
+const parseOptions = {
+  ecmaVersion: 'latest',
+  locations: true,
+  allowHashBang: true,
+  allowReturnOutsideFunction: true,
+  allowImportExportEverywhere: true,
+  allowAwaitOutsideFunction: true
+};
+
+/**
+ * Parse the given source, trying it as an ES module first and then as a script.
+ *
+ * @private
+ * @param {string} source     Source to parse.
+ * @returns {Object}          The AST.
+ */
+function _parse(source) {
+  try {
+    return acorn.parse(source, Object.assign({sourceType:'module'}, parseOptions));
+  } catch(err) {
+    return acorn.parse(source, Object.assign({sourceType:'script'}, parseOptions));
+  }
+}
+
+/**
+ * Get the static string value of a node, if it has one.
+ *
+ * @private
+ * @param {Object} node           The AST node.
+ * @returns {string|undefined}    The value.
+ */
+function _getStaticValue(node) {
+  if (!node) return;
+  if ((node.type === 'Literal') && (typeof node.value === 'string')) return node.value;
+  if ((node.type === 'TemplateLiteral') && !node.expressions.length) return node.quasis[0].value.cooked;
+}
+
+/**
+ * Get the kind of dependency a call expression is, if it is one.
+ *
+ * @private
+ * @param {Object} node           The CallExpression node.
+ * @returns {string|undefined}    Either 'require' or 'require.resolve'.
+ */
+function _getCallKind(node) {
+  const callee = node.callee;
+  if ((callee.type === 'Identifier') && (callee.name === 'require')) return 'require';
+  if ((callee.type === 'MemberExpression')
+    && !callee.computed
+    && (callee.object.type === 'Identifier')
+    && (callee.object.name === 'require')
+    && (callee.property.name === 'resolve')) {
+    return 'require.resolve';
+  }
+}
+
+/**
+ * Create a dependency description.
+ *
+ * @private
+ * @param {string} kind                     The kind of dependency.
+ * @param {Object} node                     The node for the whole statement or call.
+ * @param {Object} [specifier]              The node for the specifier.
+ * @param {Array.<Object>} ancestors        Ancestor nodes.
+ * @param {string} source                   The source being scanned.
+ * @returns {Object}
+ */
+function _createDependency(kind, node, specifier, ancestors, source) {
+  const id = _getStaticValue(specifier);
+  const dynamic = (id === undefined);
+  return {
+    id,
+    kind,
+    dynamic,
+    conditional: ancestors.some(ancestor=>conditionalTypes.has(ancestor.type)),
+    expression: ((dynamic && specifier) ? source.substring(specifier.start, specifier.end) : undefined),
+    start: node.start,
+    end: node.end,
+    line: node.loc.start.line,
+    column: node.loc.start.column
+  };
+}
+
+/**
+ * Scan the given source for dependencies using a javascript parser.  Finds require() and require.resolve() calls,
+ * import and export-from statements and dynamic import() expressions.
+ *
+ * Each dependency is returned as an object with the properties:
+ *  - id: The module id (undefined if it could not be calculated statically).
+ *  - kind: 'require', 'require.resolve', 'import', 'export' or 'dynamic-import'.
+ *  - dynamic: Was the id an expression, rather than a static string?
+ *  - conditional: Does it only happen conditionally (eg. inside an if, try or ternary)?
+ *  - expression: Source of the id expression, when dynamic.
+ *  - start, end, line & column: The location in the source.
+ *
+ * @public
+ * @param {string|Buffer} source      Source to scan.
+ * @returns {Array.<Object>}          The dependencies found, in source order.
+ * @throws {SyntaxError}              When the source cannot be parsed.
+ */
+function detect(source) {
+  const _source = source.toString();
+  const found = [];
+
+  walk.ancestor(_parse(_source), {
+    CallExpression(node, ancestors) {
+      const kind = _getCallKind(node);
+      if (kind) found.push(_createDependency(kind, node, node.arguments[0], ancestors.slice(0, -1), _source));
+    },
+    ImportExpression(node, ancestors) {
+      found.push(_createDependency('dynamic-import', node, node.source, ancestors.slice(0, -1), _source));
+    },
+    ImportDeclaration(node, ancestors) {
+      found.push(_createDependency('import', node, node.source, ancestors.slice(0, -1), _source));
+    },
+    ExportNamedDeclaration(node, ancestors) {
+      if (node.source) found.push(_createDependency('export', node, node.source, ancestors.slice(0, -1), _source));
+    },
+    ExportAllDeclaration(node, ancestors) {
+      found.push(_createDependency('export', node, node.source, ancestors.slice(0, -1), _source));
+    }
+  });
+
+  return found.sort((a, b)=>(a.start - b.start));
+}
+
+module.exports = detect;
@@ -0,0 +1,252 @@
+'use strict';
+
+/**
+ * Error thrown when a data file (eg. json or yaml) cannot be parsed.
+ *
+ * @class
+ * @extends SyntaxError
+ */
+class ParseError extends SyntaxError {
+  /**
+   * @param {string} message                The parser error message.
+   * @param {Object} details                Where the error happened.
+   * @param {string} details.filename       The file being parsed.
+   * @param {number} [details.line]         Line number (starting at 1).
+   * @param {number} [details.column]       Column number (starting at 1).
+   * @param {Error} [details.cause]         The original parser error.
+   */
+  constructor(message, {filename, line, column, cause}={}) {
+    super(`${message} in ${filename}${(line !== undefined) ? `:${line}:${column}` : ''}`);
+    this.name = 'ParseError';
+    this.code = 'ERR_PARSE';
+    this.filename = filename;
+    this.line = line;
+    this.column = column;
+    this.cause = cause;
+  }
+}
+
+/**
+ * Error a loader throws to say it cannot handle a file, so the next loader for the file is tried instead.
+ *
+ * @class
+ * @extends Error
+ */
+class UnsupportedFileError extends Error {
+  /**
+   * @param {string} filename             The file that cannot be loaded.
+   * @param {string} [reason]             Why the loader cannot handle it.
+   */
+  constructor(filename, reason='The loader cannot handle this file') {
+    super(`${reason}: ${filename}`);
+    this.name = 'UnsupportedFileError';
+    this.code = 'ERR_LOADER_UNSUPPORTED';
+    this.filename = filename;
+  }
+}
+
+/**
+ * Error thrown when a module requires one of the modules still loading it (only when the 'strictCycles' setting is
+ * on).
+ *
+ * @class
+ * @extends Error
+ */
+class CycleError extends Error {
+  /**
+   * @param {Array.<string>} chain      The require chain, starting and ending with the same module.
+   */
+  constructor(chain) {
+    super(`Circular dependency: ${chain.join(' -> ')}`);
+    this.name = 'CycleError';
+    this.code = 'ERR_REQUIRE_CYCLE';
+    this.chain = chain;
+  }
+}
+
+/**
+ * Error thrown when a load is cancelled through an AbortSignal or its timeout.
+ *
+ * @class
+ * @extends Error
+ */
+class AbortError extends Error {
+  /**
+   * @param {string} [message='The operation was aborted']    The error message.
+   * @param {Object} [details]
+   * @param {*} [details.cause]                             The abort reason given to the AbortController.
+   * @param {number} [details.timeout]                      The timeout in milliseconds, if that was the cause.
+   */
+  constructor(message='The operation was aborted', {cause, timeout}={}) {
+    super(message);
+    this.name = 'AbortError';
+    this.code = 'ABORT_ERR';
+    this.cause = cause;
+    this.timeout = timeout;
+  }
+}
+
+/**
+ * Error thrown when a file does not match the integrity manifest.
+ *
+ * @class
+ * @extends Error
+ */
+class IntegrityError extends Error {
+  /**
+   * @param {Object} details
+   * @param {string} details.filename       The file that failed.
+   * @param {string} details.reason         Why it failed: 'mismatch' or 'unlisted' (not in the manifest).
+   * @param {Array.<string>} [details.expected]   The hashes in the manifest.
+   * @param {string} [details.actual]       The hash of the file.
+   */
+  constructor({filename, reason, expected=[], actual}) {
+    super((reason === 'unlisted') ?
+      `${filename} is not in the integrity manifest` :
+      `${filename} does not match its integrity hash (expected ${expected.join(' or ')}, got ${actual})`
+    );
+    this.name = 'IntegrityError';
+    this.code = 'ERR_INTEGRITY';
+    this.filename = filename;
+    this.reason = reason;
+    this.expected = expected;
+    this.actual = actual;
+  }
+}
+
+/**
+ * Error thrown when replaying a lockfile in strict mode and a resolution is not in it.
+ *
+ * @class
+ * @extends Error
+ */
+class LockfileError extends Error {
+  /**
+   * @param {Object} details
+   * @param {string} details.moduleId       The module id being resolved.
+   * @param {string} details.basedir        The directory it was resolved from.
+   * @param {string} [details.lockfile]     The lockfile in use.
+   */
+  constructor({moduleId, basedir, lockfile}) {
+    super(`Resolution of "${moduleId}" from ${basedir} is not in the lockfile${lockfile ? ` (${lockfile})` : ''}`);
+    this.name = 'LockfileError';
+    this.code = 'ERR_LOCKFILE_MISSING';
+    this.moduleId = moduleId;
+    this.basedir = basedir;
+    this.lockfile = lockfile;
+  }
+}
+
+/**
+ * Error thrown when a # module id is not in the "imports" of the nearest package.json.
+ *
+ * @class
+ * @extends Error
+ */
+class PackageImportError extends Error {
+  /**
+   * @param {Object} details
+   * @param {string} details.specifier      The # module id.
+   * @param {string} details.basedir        The directory it was required from.
+   * @param {string} [details.filename]     The package.json looked in.
+   */
+  constructor({specifier, basedir, filename}) {
+    super(`Package import specifier "${specifier}" is not defined in ${filename || 'any package.json'} imported from ${basedir}`);
+    this.name = 'PackageImportError';
+    this.code = 'ERR_PACKAGE_IMPORT_NOT_DEFINED';
+    this.specifier = specifier;
+    this.basedir = basedir;
+    this.filename = filename;
+  }
+}
+
+/**
+ * Error thrown when a package subpath is not in (or is blocked by) the "exports" of its package.json.
+ *
+ * @class
+ * @extends Error
+ */
+class PackageExportError extends Error {
+  /**
+   * @param {Object} details
+   * @param {string} details.specifier      The module id.
+   * @param {string} details.subpath        The subpath of the package (eg. './lib/x').
+   * @param {string} details.basedir        The directory it was required from.
+   * @param {string} details.filename       The package.json of the package.
+   * @param {boolean} [details.blocked]     Was the subpath blocked with a null target?
+   */
+  constructor({specifier, subpath, basedir, filename, blocked=false}) {
+    super(`Package subpath "${subpath}" is ${blocked ? 'blocked' : 'not defined'} by "exports" in ${filename} imported from ${basedir}`);
+    this.name = 'PackageExportError';
+    this.code = 'ERR_PACKAGE_PATH_NOT_EXPORTED';
+    this.specifier = specifier;
+    this.subpath = subpath;
+    this.basedir = basedir;
+    this.filename = filename;
+    this.blocked = blocked;
+  }
+}
+
+/**
+ * Error thrown when a module cannot be resolved, with where it was looked for and close matches that do exist.
+ *
+ * @class
+ * @extends Error
+ */
+class ModuleNotFoundError extends Error {
+  /**
+   * @param {Object} details
+   * @param {string} details.moduleId                   The module id that was not found.
+   * @param {string} details.basedir                    The directory it was resolved from.
+   * @param {string} [details.parent]                   The file requiring it.
+   * @param {Array.<string>} [details.searched=[]]      The directories searched.
+   * @param {Array.<Object>} [details.suggestions=[]]   Close matches, in the format {id, reason, path}.
+   * @param {Array.<string>} [details.requireChain=[]]  The modules that led to the require, ending with the parent.
+   */
+  constructor({moduleId, basedir, parent, searched=[], suggestions=[], requireChain=[]}) {
+    const reasons = {case:'wrong case', extension:'different extension', typo:'similar name', root:'in another root'};
+    super([
+      `Cannot find module '${moduleId}' from '${basedir}'${parent ? ` (required by ${parent})` : ''}`,
+      ...(suggestions.length ? ['Did you mean:', ...suggestions.map(({id, reason})=>`  - ${id} (${reasons[reason] || reason})`)] : [])
+    ].join('\n'));
+    this.name = 'ModuleNotFoundError';
+    this.code = 'MODULE_NOT_FOUND';
+    this.moduleId = moduleId;
+    this.basedir = basedir;
+    this.parent = parent;
+    this.searched = searched;
+    this.suggestions = suggestions;
+    this.requireChain = requireChain;
+  }
+}
+
+/**
+ * Error thrown when no installed copy of a package satisfies the version range asked for.
+ *
+ * @class
+ * @extends Error
+ */
+class VersionNotFoundError extends Error {
+  /**
+   * @param {Object} details
+   * @param {string} details.name               The package name.
+   * @param {string} details.range              The version range.
+   * @param {string} details.basedir            The directory it was required from.
+   * @param {Array.<Object>} [details.found=[]] The copies found, in the format {version, dir}.
+   */
+  constructor({name, range, basedir, found=[]}) {
+    const versions = (found.length ? found.map(({version, dir})=>`${version} (${dir})`).join(', ') : 'none');
+    super(`No installed copy of ${name} satisfies "${range}" from ${basedir}, found: ${versions}`);
+    this.name = 'VersionNotFoundError';
+    this.code = 'ERR_VERSION_NOT_FOUND';
+    this.packageName = name;
+    this.range = range;
+    this.basedir = basedir;
+    this.found = found;
+  }
+}
+
+module.exports = {
+  ParseError, UnsupportedFileError, CycleError, AbortError, IntegrityError, LockfileError, PackageImportError, PackageExportError,
+  ModuleNotFoundError, VersionNotFoundError
+};
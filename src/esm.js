@@ -0,0 +1,223 @@
+'use strict';
+
+const vm = require('vm');
+const path = require('path');
+const {pathToFileURL} = require('url');
+const {makeArray, isFunction, isObject, getRequire} = require('./util');
+const workspaces = require('./workspaces');
+const settings = require('./settings');
+const Module = require('./Module');
+const cache = require('./cache');
+const {getPackageType} = require('./packages');
+const graph = require('./graph');
+const protocols = require('./protocols');
+const transforms = require('./transforms');
+const sourceMaps = require('./sourceMaps');
+const {esmCache} = require('./stores');
+
+const xModuleSyntax = /^\s*(?:import\s*(?:[\w*{$]|["'])|export\s+(?:[\w*{$]|default\b))/m;
+
+/**
+ * Is the given file an ES module?  Uses the file extension, the nearest package.json "type" field and finally a
+ * test for import/export syntax.
+ *
+ * @public
+ * @param {string} filename           The file path.
+ * @param {string|Buffer} content     The file content.
+ * @returns {boolean}
+ */
+function isModule(filename, content) {
+  const ext = path.extname(filename);
+  if (ext === '.mjs') return true;
+  if (ext === '.cjs') return false;
+  if (getPackageType(filename) === 'module') return true;
+  return xModuleSyntax.test((content || '').toString());
+}
+
+/**
+ * Create the error thrown when an ES module is loaded synchronously.
+ *
+ * @private
+ * @param {string} filename     The module being loaded.
+ * @returns {Error}
+ */
+function _requireEsmError(filename) {
+  const error = new Error(`Cannot load ES module ${filename} synchronously, use the async loader instead.`);
+  error.code = 'ERR_REQUIRE_ESM';
+  return error;
+}
+
+/**
+ * Create the error thrown when an ES module is loaded but vm modules are not available.
+ *
+ * @private
+ * @param {string} filename     The module being loaded.
+ * @returns {Error}
+ */
+function _vmModulesError(filename) {
+  const error = new Error(`Cannot load ES module ${filename}, node needs to be run with the --experimental-vm-modules flag.`);
+  error.code = 'ERR_VM_MODULES_UNAVAILABLE';
+  return error;
+}
+
+/**
+ * Get the vm context to evaluate in, undefined meaning the main context.
+ *
+ * @private
+ * @param {Object} config       The module config.
+ * @returns {Object|undefined}  The context.
+ */
+function _getContext(config) {
+  const useSandbox = (config.hasOwnProperty('useSandbox') ? config.useSandbox : settings.get('useSandbox'));
+  if (!(isFunction(useSandbox) ? useSandbox(config) : useSandbox)) return;
+  return workspaces.get(...makeArray(config.workspace || workspaces.DEFAULT_WORKSPACE));
+}
+
+/**
+ * Create a synthetic module wrapping the exports of a non-ES module so it can be imported.
+ *
+ * @private
+ * @param {string} identifier       Module identifier (usually the filename).
+ * @param {*} exports               The exports to wrap.
+ * @param {Object} [context]        The vm context.
+ * @returns {vm.SyntheticModule}
+ */
+function _createSyntheticModule(identifier, exports, context) {
+  const names = (isObject(exports) ? Object.keys(exports).filter(name=>(name !== 'default')) : []);
+  return new vm.SyntheticModule(['default', ...names], function() {
+    this.setExport('default', exports);
+    names.forEach(name=>this.setExport(name, exports[name]));
+  }, {identifier, context});
+}
+
+/**
+ * ES module loader, linking all imports through the given resolver, the loader events and the module cache.
+ *
+ * @private
+ */
+class EsmLoader {
+  /**
+   * @param {Object} config                     The config of the module being loaded.
+   * @param {Object} loaders                    Load functions from the require module.
+   * @param {Function} loaders.loadText         Load text from a file (with events).
+   * @param {Function} loaders.loadModule       Evaluate a non-ES module from already loaded content.
+   */
+  constructor(config, loaders) {
+    this.config = config;
+    this.loaders = loaders;
+    this.context = _getContext(config);
+    this.modules = [];
+  }
+
+  /**
+   * Create a source text module (and a Module for the cache) for the given file.
+   *
+   * @param {string} filename           The file path.
+   * @param {string|Buffer} content     The file content.
+   * @param {string} [parent]           The importing file.
+   * @param {Object} [sourceMap]        Source map for the content (eg. from a transform).
+   * @returns {vm.SourceTextModule}
+   */
+  create(filename, content, parent, sourceMap) {
+    const module = ((filename === this.config.filename) ?
+      new Module(this.config) :
+      new Module(Object.assign({}, this.config, {filename, content, basedir:protocols.dirname(filename), parent}))
+    );
+    sourceMaps.register(filename, content.toString(), sourceMap);
+    const vmModule = new vm.SourceTextModule(content.toString(), {
+      identifier: filename,
+      context: this.context,
+      initializeImportMeta: meta=>Object.assign(meta, {
+        url: pathToFileURL(filename).href,
+        filename,
+        dirname: path.dirname(filename)
+      }),
+      importModuleDynamically: async (specifier, referencingModule)=>{
+        const imported = await this.link(specifier, referencingModule);
+        if (imported.status === 'unlinked') await imported.link((...params)=>this.link(...params));
+        if (imported.status === 'linked') await imported.evaluate();
+        return imported;
+      }
+    });
+
+    esmCache.set(filename, vmModule);
+    this.modules.push([module, vmModule]);
+    return vmModule;
+  }
+
+  /**
+   * Linker for module imports.
+   *
+   * @param {string} specifier                  The import specifier.
+   * @param {vm.Module} referencingModule       The module doing the import.
+   * @returns {Promise.<vm.Module>}
+   */
+  async link(specifier, referencingModule) {
+    const resolver = this.config.resolver;
+    const source = referencingModule.identifier;
+    const id = specifier.replace(/^node:/, '');
+    if (resolver.isCoreModule(id)) {
+      graph.addEdge(source, id, {request:specifier, type:'core'});
+      return _createSyntheticModule(specifier, getRequire()(id), this.context);
+    }
+
+    const filename = await resolver.resolve(specifier, protocols.dirname(source));
+    graph.addEdge(source, filename, {request:specifier, type:'import'});
+    if (esmCache.has(filename)) return esmCache.get(filename);
+
+    const options = Object.assign({}, resolver.export, {basedir:protocols.dirname(source), parent:source});
+    if (cache.has(filename)) {
+      return _createSyntheticModule(filename, await this.loaders.loadModule(filename, undefined, options), this.context);
+    }
+    const loaded = await this.loaders.loadText(filename, source);
+    const transformed = await transforms.apply({filename, content:loaded, transforms:resolver.transforms});
+    const content = (transformed ? transformed.code : loaded);
+    if (isModule(filename, content)) return this.create(filename, content, source, (transformed || {}).map);
+    return _createSyntheticModule(filename, await this.loaders.loadModule(filename, loaded, options), this.context);
+  }
+
+  /**
+   * Load, link and evaluate the module, returning the Module with the namespace as its exports.
+   *
+   * @returns {Promise.<Module>}
+   */
+  async evaluate() {
+    try {
+      const vmModule = this.create(this.config.filename, this.config.content, undefined, this.config.sourceMap);
+      await vmModule.link((...params)=>this.link(...params));
+      await vmModule.evaluate();
+      this.modules.forEach(([module, vmModule])=>{
+        module.exports = vmModule.namespace;
+        module.loaded = true;
+      });
+      return this.modules[0][0];
+    } catch(error) {
+      this.modules.forEach(([module])=>{
+        cache.delete(module.filename);
+        esmCache.delete(module.filename);
+      });
+      throw error;
+    }
+  }
+}
+
+/**
+ * Evaluate an ES module, returning a promise resolving to the Module.  The exports of the Module will be the module
+ * namespace.
+ *
+ * @public
+ * @param {Object} config                     The module config.
+ * @param {Object} loaders                    Load functions from the require module.
+ * @param {Function} loaders.loadText         Load text from a file (with events).
+ * @param {Function} loaders.loadModule       Evaluate a non-ES module from already loaded content.
+ * @returns {Promise.<Module>}
+ */
+function evaluate(config, loaders) {
+  if (config.sync) throw _requireEsmError(config.filename);
+  if (!vm.SourceTextModule) return Promise.reject(_vmModulesError(config.filename));
+  return new EsmLoader(config, loaders).evaluate();
+}
+
+module.exports = {
+  evaluate, isModule
+};
@@ -1,7 +1,6 @@
 'use strict';
 
 const vm = require('vm');
-const path = require('path');
 const isBuffer = Buffer.isBuffer;
 const {isString, makeArray, values, isFunction} = require('./util');
 const Module = require('./Module');
@@ -9,6 +8,9 @@ const workspaces = require('./workspaces');
 const emitter = require('./events');
 const settings = require('./settings');
 const cache = require('./cache');
+const codeCache = require('./codeCache');
+const sourceMaps = require('./sourceMaps');
+const protocols = require('./protocols');
 
 const proxiedGlobal = require('semver').gt(process.versions.node, '8.3.0');
 
@@ -76,9 +78,11 @@ function _createOptions(config) {
  */
 function _createScript(config, options, scope={}) {
   if (!isString(config.content)) return config.content;
-  const stringScript = wrap(config.content.replace(/^\#\!.*/, ''), scope);
+  const content = config.content.replace(/^\#\!.*/, '');
+  sourceMaps.register(options.filename, content, config.sourceMap, {lineOffset:1, columnOffset:4});
+  const stringScript = wrap(content, scope);
   try {
-    return new vm.Script(stringScript, options);
+    return codeCache.createScript(stringScript, options);
   } catch(error) { // These are not squashed as not evaluation errors but something else.
     if (_runError(error, module)) throw error;
   }
@@ -113,17 +117,18 @@ function _getScopeParams(config, module, scope={}) {
     module.require,
     module,
     module.filename,
-    config.basedir || path.dirname(module.filename),
+    config.basedir || protocols.dirname(module.filename),
     ...values(scope)
   ];
 }
 
 /**
- * Handle run errors.
+ * Handle run errors, firing the error event.
  *
  * @private
  * @param {Error} error       The error thrown.
  * @param {Module} module     The module.
+ * @returns {boolean}         Should the error be thrown (ie. it was not ignored by an event listener)?
  */
 function _runError(error, module) {
   const _error = new emitter.Error({
@@ -133,7 +138,7 @@ function _runError(error, module) {
   });
   module.exports = _error;
   emitter.emit('error', _error);
-  return (!!_error.ignore || (_error.ignore && isFunction(_error.ignore) && _error.ignore()));
+  return !_error.ignored();
 }
 
 /**
@@ -156,11 +161,11 @@ function _runScript(config, options) {
     } else {
       script.runInThisContext(options)(...scopeParams);
     }
+    codeCache.save(script);
   } catch(error) {
-    if (config.squashErrors) cache.delete(options.filename);
-    if (!config.squashErrors) {
-      if (_runError(error, module)) throw error;
-    } else {
+    if (config.squashErrors || _runError(error, module)) {
+      if (error instanceof Error) error.stack; // Format the stack before the source map goes with the module.
+      cache.delete(options.filename);
       throw error;
     }
   }
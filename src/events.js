@@ -126,11 +126,51 @@ function Evaluated_Event(config) {
 Evaluated_Event.prototype = Object.create(Loaded_Event.prototype);
 Evaluated_Event.prototype.constructor = Evaluated_Event;
 
+function Change_Event(config) {
+  var freezer = _setFreeze(this);
+  Event.call(this, config);
+  this.type = 'change';
+  this.eventType = config.eventType;
+  this.dependents = config.dependents || [];
+  _doFreeze(this, freezer);
+}
+
+Change_Event.prototype = Object.create(Event.prototype);
+Change_Event.prototype.constructor = Change_Event;
+
+function Reloaded_Event(config) {
+  var freezer = _setFreeze(this);
+  Event.call(this, config);
+  this.type = 'reloaded';
+  this.reloaded = config.reloaded || [];
+  this.duration = config.duration;
+  this.error = config.error;
+  _doFreeze(this, freezer);
+}
+
+Reloaded_Event.prototype = Object.create(Event.prototype);
+Reloaded_Event.prototype.constructor = Reloaded_Event;
+
+function Cycle_Event(config) {
+  var freezer = _setFreeze(this);
+  Event.call(this, config);
+  this.type = 'cycle';
+  this.source = config.source;
+  this.chain = config.chain || [];
+  _doFreeze(this, freezer);
+}
+
+Cycle_Event.prototype = Object.create(Event.prototype);
+Cycle_Event.prototype.constructor = Cycle_Event;
+
 emitter.Event = Event;
 emitter.Error = Error_Event;
 emitter.Loaded = Loaded_Event;
 emitter.Load = Load_Event;
 emitter.Evaluate = Evaluate_Event;
 emitter.Evaluated = Evaluated_Event;
+emitter.Change = Change_Event;
+emitter.Reloaded = Reloaded_Event;
+emitter.Cycle = Cycle_Event;
 
 module.exports = emitter;
@@ -0,0 +1,83 @@
+'use strict';
+
+const path = require('path');
+const Resolver = require('./resolver');
+const {getExternalCallingDir} = require('./util');
+
+/**
+ * Explain how a module id resolves: the mapping applied, where the module directories and extra paths come from,
+ * every path checked (and whether it was accepted) and whether the answer comes from the resolve cache.
+ *
+ * @public
+ * @param {string} moduleId                     The module id.
+ * @param {Object|Resolver} [options]           Resolver (or resolver options).
+ * @param {string} [options.basedir]            Directory to resolve from, defaults to the calling directory.
+ * @returns {Promise.<Object>}                  The trace (see Resolver.explain()).
+ */
+function explain(moduleId, options={}) {
+  const resolver = ((options instanceof Resolver) ? options : new Resolver(Object.assign({}, options, {
+    basedir: options.basedir || getExternalCallingDir() || process.cwd()
+  })));
+  return resolver.explain(moduleId);
+}
+
+/**
+ * Get a path for display, relative to the directory resolved from when inside it.
+ *
+ * @private
+ * @param {string} basedir      The directory resolved from.
+ * @param {string} filename     The path.
+ * @returns {string}
+ */
+function _displayPath(basedir, filename) {
+  if (!path.isAbsolute(filename)) return filename;
+  const relative = path.relative(basedir, filename);
+  return (relative.startsWith('..') ? filename : `./${relative}`);
+}
+
+/**
+ * Render a trace as text.  The summary gives the mapping, the result and where it came from; verbose output adds the
+ * directories searched and every path checked.
+ *
+ * @public
+ * @param {Object} trace                    A trace from explain().
+ * @param {Object} [options]
+ * @param {boolean} [options.verbose=false] Include the directories searched and paths checked?
+ * @returns {string}
+ */
+function render(trace, {verbose=false}={}) {
+  const {moduleId, basedir, mapped, type, paths, cache, candidates, resolved, fromCache, stale, error} = trace;
+  const show = filename=>_displayPath(basedir, filename);
+  const lines = [`Resolving "${moduleId}" from ${basedir}`];
+
+  if (mapped && mapped.via.length) lines.push(`  mapped by ${mapped.via.join(', ')} to ${show(mapped.id)}`);
+  if (type !== 'module') lines.push(`  ${type} module`);
+
+  if (verbose && (type === 'module')) {
+    [['roots', 'roots'], ['paths', 'paths'], ['moduleDirectory', 'module directories']].forEach(([key, title])=>{
+      if (!paths[key].length) return;
+      lines.push(`  ${title}:`);
+      paths[key].forEach(dir=>lines.push(`    ${show(dir)}`));
+    });
+    if (candidates.length) lines.push('  checked:');
+    candidates.forEach(({path, check, found, source, main, virtual})=>{
+      const details = [check, source];
+      if (virtual) details.push('virtual');
+      if (main) details.push(`main: ${main}`);
+      lines.push(`    ${found ? '+' : '-'} ${show(path)} (${details.join(', ')})`);
+    });
+  }
+
+  if (cache.hit) lines.push(`  cached${stale ? ', but the file system now gives a different result' : ''}`);
+  if (error) {
+    lines.push(`  failed: ${error.message}`);
+  } else if (resolved !== undefined) {
+    lines.push(`  resolved to ${show(resolved)}${fromCache ? ' (from cache)' : ''}`);
+  }
+
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  explain, render
+};
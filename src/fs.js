@@ -9,6 +9,7 @@ const {memoize} = require('./memoize');
 const trimEnd  = memoize(require('./lodash').trimEnd);
 
 const {statDir, statFile, statCache, lStatCache, fileQueue, readDirCache} = require('./stores');
+const {getAbortError} = require('./abort');
 
 function noCache() {
   if (!settings) settings = require('./settings');
@@ -18,7 +19,7 @@ function noCache() {
 const fs = Object.assign({}, require('fs'));
 if (Object.getOwnPropertyDescriptor(fs, 'promises')) {
   Object.defineProperty(fs, 'promises', {
-    get() {return fs.promises}
+    get() {return require('fs').promises}
   });
 }
 
@@ -167,21 +168,51 @@ function createReadDirMethods(cache=new Map()) {
 }
 
 /**
- * Add a callback for reading of given file.
+ * Add a callback for reading of given file.  If the signal aborts, the callback is removed and the read taken out of
+ * the queue if nothing else is waiting for it.
  *
  * @private
  * @param {string} filename           File to set callback for.
+ * @param {Map} cache                 The cache in use.
+ * @param {AbortSignal} [signal]      Signal to cancel with.
  * @returns {Promise.<Buffer|*>}      The file contents, once loaded.
  */
-function _addReadCallback(filename) {
+function _addReadCallback(filename, cache, signal) {
   return new Promise((resolve, reject)=> {
-    readFileCallbacks.get(filename).add((err, data)=> {
+    const callbacks = readFileCallbacks.get(filename);
+    const onAbort = ()=>{
+      callbacks.delete(callback);
+      _cancelQueuedRead(filename, cache);
+      reject(getAbortError(signal));
+    };
+    const callback = (err, data)=> {
+      if (signal) signal.removeEventListener('abort', onAbort);
       if (err) return reject(err);
       return resolve(data);
-    });
+    };
+
+    callbacks.add(callback);
+    if (signal) signal.addEventListener('abort', onAbort, {once:true});
   });
 }
 
+/**
+ * Remove a read from the file queue if it has not started and nothing is waiting for it.
+ *
+ * @private
+ * @param {string} filename     The file.
+ * @param {Map} cache           The cache in use.
+ */
+function _cancelQueuedRead(filename, cache) {
+  const callbacks = readFileCallbacks.get(filename);
+  if (callbacks && callbacks.size) return;
+  const queued = fileQueue.findIndex(read=>(read.filename === filename));
+  if (queued === -1) return;
+  fileQueue.splice(queued, 1);
+  readFileCallbacks.delete(filename);
+  if (cache.get(filename) === true) cache.delete(filename);
+}
+
 /**
  * Add callbacks set for given file
  *
@@ -203,11 +234,12 @@ function _addReadCallbacks(filename, cache) {
  *
  * @param {string} filename           File to get from cache.
  * @param {Map} cache                 The cache to use.
+ * @param {AbortSignal} [signal]      Signal to cancel with.
  * @returns {Promise.<Buffer|*>}      The file contents.
  */
-async function _handleFileInCache(filename, cache) {
+async function _handleFileInCache(filename, cache, signal) {
   if (cache.get(filename) !== true) return cache.get(filename);
-  return _addReadCallback(filename);
+  return _addReadCallback(filename, cache, signal);
 }
 
 /**
@@ -278,20 +310,23 @@ function _readFileOnError(filename, error) {
  * @param {string} filename               The file to load.
  * @param {Map} cache                     The cache to use.
  * @param {null|string} [encoding=null]   The encoding to load as.
+ * @param {AbortSignal} [signal]          Signal to cancel with.  Cancelling takes the read out of the queue if it
+ *                                        has not started and nothing else is waiting for it.
  * @returns {Promise.<Buffer|*>}          The load results.
  */
-function readFile(filename, cache, encoding=null) {
-  if (cache.has(filename)) return _handleFileInCache(filename, cache);
+function readFile(filename, cache, encoding=null, signal) {
+  if (signal && signal.aborted) return Promise.reject(getAbortError(signal));
+  if (cache.has(filename)) return _handleFileInCache(filename, cache, signal);
   _addReadCallbacks(filename, cache);
-  fileQueue.push(()=>{
+  fileQueue.push(Object.assign(()=>{
     const contents = [];
     fs.createReadStream(filename, {encoding})
       .on('data', chunk=>contents.push(chunk))
       .on('end', ()=>_readFileOnEnd(filename, contents, cache))
       .on('error', error=>_readFileOnError(filename, error))
-  });
+  }, {filename}));
   _runFileQueue();
-  return _handleFileInCache(filename, cache);
+  return _handleFileInCache(filename, cache, signal);
 }
 
 function nodeReadFile(cache, filename, options, cb) {
@@ -323,9 +358,30 @@ function readFileSync(filename, cache, encoding=null) {
   return data;
 }
 
+/**
+ * Write a file synchronously via a temporary file, which is then renamed.  Other processes will never see a
+ * partially written file.
+ *
+ * @public
+ * @param {string} filename           The file to write.
+ * @param {string|Buffer} data        The data to write.
+ * @returns {boolean}                 Was it written?
+ */
+function writeFileAtomicSync(filename, data) {
+  const tempFilename = `${filename}.${process.pid}.${Math.random().toString(36).substring(2)}.tmp`;
+  try {
+    fs.mkdirSync(path.dirname(filename), {recursive:true});
+    fs.writeFileSync(tempFilename, data);
+    fs.renameSync(tempFilename, filename);
+    return true;
+  } catch(err) {
+    try {fs.unlinkSync(tempFilename);} catch(err) {}
+    return false;
+  }
+}
 
 
 module.exports = {
   readDir, lstat, lstatSync, isFile, isFileSync, isDirectory, readDirSync, isDirectorySync, statSync, stat,
-  readFile, readFileSync, nodeReadFile
+  readFile, readFileSync, nodeReadFile, writeFileAtomicSync
 };
\ No newline at end of file
@@ -0,0 +1,302 @@
+'use strict';
+
+const path = require('path');
+
+/**
+ * Get the id to use for a given parent, which might be a module, a filename or undefined.
+ *
+ * @private
+ * @param {Module|string} [parent]    The parent to get an id for.
+ * @returns {string|undefined}        The id.
+ */
+function _getId(parent) {
+  if (!parent) return;
+  return parent.filename || parent.id || parent;
+}
+
+/**
+ * Quote a string for use in a DOT file.
+ *
+ * @private
+ * @param {string} value      Value to quote.
+ * @returns {string}          Quoted value.
+ */
+function _dotQuote(value) {
+  return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Quote a string for use as a Mermaid label.
+ *
+ * @private
+ * @param {string} value      Value to quote.
+ * @returns {string}          Quoted value.
+ */
+function _mermaidQuote(value) {
+  return `"${String(value).replace(/"/g, '#quot;')}"`;
+}
+
+/**
+ * Record of who required whom, built during module loading.
+ *
+ * @class
+ */
+class DependencyGraph {
+  constructor() {
+    this.nodes = new Map();
+    this.edges = new Map();
+  }
+
+  /**
+   * Add a node to the graph (if not already present).
+   *
+   * @param {string} id       The node id (usually the module filename).
+   * @returns {Object}        The node.
+   */
+  addNode(id) {
+    if (!this.nodes.has(id)) this.nodes.set(id, {id, parents:new Set(), children:new Set()});
+    return this.nodes.get(id);
+  }
+
+  /**
+   * Add a parent->child edge to the graph.  If no parent is given the child is added as an entry point.
+   *
+   * @param {Module|string} [parent]                    The parent module or filename.
+   * @param {string} child                              The child filename.
+   * @param {Object} [options]                          Extra edge information.
+   * @param {string} [options.request]                  The module id, as supplied to require.
+   * @param {string} [options.type='require']           How the child was found (eg. 'require', 'import' or
+   *                                                    'prefetch').
+   */
+  addEdge(parent, child, {request, type='require'}={}) {
+    const parentId = _getId(parent);
+    const childNode = this.addNode(child);
+    if (!parentId || (parentId === child)) return;
+
+    const parentNode = this.addNode(parentId);
+    parentNode.children.add(child);
+    childNode.parents.add(parentId);
+
+    const edgeId = `${parentId}\0${child}`;
+    if (!this.edges.has(edgeId)) this.edges.set(edgeId, {from:parentId, to:child, requests:new Set(), types:new Set()});
+    const edge = this.edges.get(edgeId);
+    if (request) edge.requests.add(request);
+    edge.types.add(type);
+  }
+
+  /**
+   * Is the given module in the graph?
+   *
+   * @param {string} id       Module to check.
+   * @returns {boolean}
+   */
+  has(id) {
+    return this.nodes.has(id);
+  }
+
+  /**
+   * Get the parents and children of a given module.
+   *
+   * @param {string} id           Module to get.
+   * @returns {Object|undefined}  Object in the format {id, parents, children}.
+   */
+  get(id) {
+    if (!this.nodes.has(id)) return;
+    const {parents, children} = this.nodes.get(id);
+    return {id, parents:[...parents], children:[...children]};
+  }
+
+  /**
+   * Get the edge between a parent and child.
+   *
+   * @param {string} from         The parent.
+   * @param {string} to           The child.
+   * @returns {Object|undefined}  Object in the format {from, to, requests, types}.
+   */
+  getEdge(from, to) {
+    const edge = this.edges.get(`${from}\0${to}`);
+    if (edge) return {from, to, requests:[...edge.requests], types:[...edge.types]};
+  }
+
+  /**
+   * The entry points into the graph (modules with no recorded parents).
+   *
+   * @returns {Array.<string>}
+   */
+  entries() {
+    return [...this.nodes.values()].filter(node=>!node.parents.size).map(node=>node.id);
+  }
+
+  /**
+   * All the modules the given module depends on, directly or indirectly.
+   *
+   * @param {string} id           The module to start from.
+   * @returns {Array.<string>}    The dependencies.
+   */
+  dependencies(id) {
+    return this._walk(id, 'children');
+  }
+
+  /**
+   * All the modules depending on the given module, directly or indirectly.
+   *
+   * @param {string} id           The module to start from.
+   * @returns {Array.<string>}    The dependents.
+   */
+  dependents(id) {
+    return this._walk(id, 'parents');
+  }
+
+  /**
+   * Get every chain of requires leading from an entry point to the given module.  Cyclic routes are not followed.  A
+   * cycle nothing outside it requires (eg. an entry point required back by one of its dependencies) has no entry point,
+   * so chains start at the first module of the cycle added to the graph instead.
+   *
+   * @param {string} id                     The module to explain.
+   * @returns {Array.<Array.<string>>}      The chains, each starting with an entry point and ending with the module.
+   */
+  why(id) {
+    if (!this.nodes.has(id)) return [];
+
+    const chains = [];
+    const cyclicEntries = this._cyclicEntries([id, ...this.dependents(id)]);
+    const walk = (current, chain)=>{
+      const node = this.nodes.get(current);
+      if (!node.parents.size || cyclicEntries.has(current)) return chains.push(chain);
+      [...node.parents].filter(parent=>!chain.includes(parent)).forEach(parent=>walk(parent, [parent, ...chain]));
+    };
+
+    walk(id, [id]);
+    return chains;
+  }
+
+  /**
+   * Find the modules standing as entry points for cycles that nothing outside the cycle requires.  Each is the first
+   * module of its cycle added to the graph.
+   *
+   * @private
+   * @param {Array.<string>} ids        The modules to look in.
+   * @returns {Set.<string>}            The cyclic entry points.
+   */
+  _cyclicEntries(ids) {
+    const found = new Set();
+    const covered = new Set();
+    [...this.nodes.keys()].filter(id=>ids.includes(id)).forEach(id=>{
+      if (covered.has(id) || !this.nodes.get(id).parents.size) return;
+      const dependents = this.dependents(id);
+      const dependencies = new Set(this.dependencies(id));
+      if (!dependents.every(dependent=>((dependent === id) || dependencies.has(dependent)))) return;
+      found.add(id);
+      dependents.forEach(dependent=>covered.add(dependent));
+    });
+    return found;
+  }
+
+  /**
+   * Walk the graph in a given direction collecting everything found.
+   *
+   * @private
+   * @param {string} id                         Module to start from.
+   * @param {string} direction                  Either 'children' or 'parents'.
+   * @returns {Array.<string>}                  The modules found.
+   */
+  _walk(id, direction) {
+    const found = new Set();
+    const walk = current=>(this.nodes.get(current) || {[direction]:[]})[direction].forEach(next=>{
+      if (found.has(next) || (next === id)) return;
+      found.add(next);
+      walk(next);
+    });
+
+    walk(id);
+    return [...found];
+  }
+
+  /**
+   * Remove a module from the graph.
+   *
+   * @param {string} id       The module to remove.
+   * @returns {boolean}       Was anything removed?
+   */
+  delete(id) {
+    if (!this.nodes.has(id)) return false;
+    const {parents, children} = this.nodes.get(id);
+    parents.forEach(parent=>{
+      this.nodes.get(parent).children.delete(id);
+      this.edges.delete(`${parent}\0${id}`);
+    });
+    children.forEach(child=>{
+      this.nodes.get(child).parents.delete(id);
+      this.edges.delete(`${id}\0${child}`);
+    });
+    return this.nodes.delete(id);
+  }
+
+  /**
+   * Clear the graph.
+   */
+  clear() {
+    this.nodes.clear();
+    this.edges.clear();
+  }
+
+  /**
+   * Number of modules in the graph.
+   *
+   * @returns {number}
+   */
+  get size() {
+    return this.nodes.size;
+  }
+
+  /**
+   * Export the graph as a plain object.
+   *
+   * @returns {Object}    Object in the format {entries, nodes, edges}.
+   */
+  toJSON() {
+    return {
+      entries: this.entries(),
+      nodes: [...this.nodes.keys()],
+      edges: [...this.edges.values()].map(({from, to, requests, types})=>({
+        from, to, requests:[...requests], types:[...types]
+      }))
+    };
+  }
+
+  /**
+   * Export the graph in Graphviz DOT format.
+   *
+   * @param {Object} [options]                  Export options.
+   * @param {string} [options.basedir]          Show paths relative to this directory.
+   * @returns {string}
+   */
+  toDot({basedir}={}) {
+    const label = id=>(basedir && path.isAbsolute(id)) ? path.relative(basedir, id) : id;
+    return [
+      'digraph dependencies {',
+      ...[...this.nodes.keys()].map(id=>`  ${_dotQuote(label(id))};`),
+      ...[...this.edges.values()].map(({from, to})=>`  ${_dotQuote(label(from))} -> ${_dotQuote(label(to))};`),
+      '}'
+    ].join('\n');
+  }
+
+  /**
+   * Export the graph as a Mermaid flowchart.
+   *
+   * @param {Object} [options]                  Export options.
+   * @param {string} [options.basedir]          Show paths relative to this directory.
+   * @returns {string}
+   */
+  toMermaid({basedir}={}) {
+    const ids = new Map([...this.nodes.keys()].map((id, n)=>[id, `m${n}`]));
+    const label = id=>(basedir && path.isAbsolute(id)) ? path.relative(basedir, id) : id;
+    return [
+      'graph TD',
+      ...[...ids].map(([id, nodeId])=>`  ${nodeId}[${_mermaidQuote(label(id))}]`),
+      ...[...this.edges.values()].map(({from, to})=>`  ${ids.get(from)} --> ${ids.get(to)}`)
+    ].join('\n');
+  }
+}
+
+module.exports = new DependencyGraph();
@@ -19,7 +19,52 @@ const {
   chain
 } = require('./util');
 const cache = require('./cache');
+const Resolver = require('./resolver');
 const ErrorEvent = require('./events').Error;
+const {createAbort} = require('./abort');
+const lockfile = require('./lockfile');
+const virtual = require('./virtual');
+const protocols = require('./protocols');
+const {AbortError} = require('./errors');
+
+/**
+ * Read a directory, treating a missing directory that only contains virtual modules as empty.
+ *
+ * @private
+ * @param {string} dirPath          Directory path to read.
+ * @returns {Promise.<string[]>}
+ */
+async function _readDir(dirPath) {
+  try {
+    return await readDir(dirPath);
+  } catch(error) {
+    if (virtual.isDirectory(dirPath)) return [];
+    throw error;
+  }
+}
+
+/**
+ * Map a directory through the resolver aliases and package.json "imports".  If the directory itself is not mapped,
+ * "<dirPath>/*" is tried and the part of the target before the * used, so "#internal" imports the directory that
+ * "#internal/*" points to.
+ *
+ * @private
+ * @param {string} dirPath          Directory path or id.
+ * @param {string} [basedir]        Directory importing from.
+ * @param {Object} options          Import options object.
+ * @returns {string}                The mapped directory (or the same if nothing matches).
+ */
+function _mapDirectory(dirPath, basedir, options) {
+  const resolver = ((options.resolver instanceof Resolver) ? options.resolver : new Resolver(Object.assign({}, options, {basedir})));
+  const ids = [dirPath, `${dirPath.replace(/\/+$/, '')}/*`];
+  for (let n=0; n<ids.length; n++) {
+    try {
+      const mapped = resolver.map(ids[n], basedir).id.split('*')[0];
+      if (mapped !== ids[n].split('*')[0]) return ((mapped.length > 1) ? mapped.replace(/[\/\\]+$/, '') : mapped);
+    } catch(err) {}
+  }
+  return dirPath;
+}
 
 /**
  * Get a list of files in the directory.
@@ -31,17 +76,24 @@ const ErrorEvent = require('./events').Error;
  */
 async function _filesInDirectory(dirPath, options) {
   const basedir = options.basedir || getCallingDir();
-  const resolvedDirPath = basedir?path.resolve(basedir, dirPath):dirPath;
+  const mappedDirPath = _mapDirectory(dirPath, basedir, options);
+  if (protocols.find(mappedDirPath)) return _filesInProtocolDirectory(mappedDirPath, options);
+  const resolvedDirPath = basedir?path.resolve(basedir, mappedDirPath):mappedDirPath;
   let xExt = _getExtensionRegEx(options.extension || settings.get('extensions'));
 
   try {
-    const files = (await readDir(resolvedDirPath));
+    const files = [...(lockfile.getDirectory(resolvedDirPath) || (await _readDir(resolvedDirPath)))];
+    lockfile.recordDirectory(resolvedDirPath, files);
+    files.push(...virtual.list(resolvedDirPath).filter(fileName=>!files.includes(fileName)));
     if (options.rescursive) {
       const dirs = chain(await Promise.all(chain(files)
         .map(fileName=>path.resolve(resolvedDirPath, fileName))
         .map(async (file)=>{
-          const stat = await lstat(file);
-          if (stat.isDirectory()) return file;
+          if (virtual.has(file)) return;
+          const stat = await lstat(file).catch(error=>{
+            if (!virtual.isDirectory(file)) throw error;
+          });
+          if (!stat || stat.isDirectory()) return file;
         })
         .value())).filter(file=>file);
       if (dirs.value().length) files.push(...(await Promise.all(
@@ -58,6 +110,25 @@ async function _filesInDirectory(dirPath, options) {
   }
 }
 
+/**
+ * Get a list of the module ids in a directory read through a protocol.  These are not scanned recursively.
+ *
+ * @private
+ * @param {string} dirId            Directory id (eg. app:routes).
+ * @param {Object} [options]        Import options object.
+ * @returns {Promise.<string[]>}    Promise resolving to array of module ids.
+ */
+async function _filesInProtocolDirectory(dirId, options) {
+  const xExt = _getExtensionRegEx(options.extension || settings.get('extensions'));
+  try {
+    return (await protocols.list(dirId))
+      .filter(fileName=>xExt.test(fileName))
+      .map(fileName=>`${dirId.replace(/\/+$/, '')}/${fileName}`);
+  } catch (err) {
+    return [];
+  }
+}
+
 /**
  * Get all the files in a collection of directories.
  *
@@ -79,7 +150,8 @@ async function filesInDirectories(dirPaths, options) {
  * @returns {string}                                      The filename without given extension(s).
  */
 function _getFileName(filePath, ext=settings.get('extensions')) {
-  return path.basename(filePath).replace(_getExtensionRegEx(ext), '');
+  const basename = path.basename(filePath);
+  return basename.replace(_getExtensionRegEx(ext), '') || basename;
 }
 
 /**
@@ -139,11 +211,14 @@ function _canImport(fileName, callingFileName, options) {
  * @param {Object} [options.imports={}]                                 Object to import into.
  * @param {Function} [options.onload]                                   Callback to fire on each successful import.
  * @param {boolean} [options.merge=false]                               Merge exported properties & methods together.
+ * @param {AbortSignal} [options.signal]                                Signal to cancel the import with.
+ * @param {number} [options.timeout]                                    Timeout in milliseconds for the whole import.
  * @returns {Promise.<Object>}
  */
 async function _importDirectory(dirPath, options={}) {
-  const _options = _importDirectoryOptionsParser(options);
-  await _importDirectoryModules(dirPath, _options);
+  const abort = createAbort(options);
+  const _options = _importDirectoryOptionsParser(Object.assign({}, options, {signal:abort.signal, timeout:undefined}));
+  await abort.wrap(_importDirectoryModules(dirPath, _options));
   return _options.imports;
 }
 
@@ -214,7 +289,7 @@ async function tryLoading(files, source, options, failCount=files.length) {
       if (canLoad) return [target, module];
       cache.delete(target);
     } catch (error) {
-      if (!options.squashErrors) throw error;
+      if (!options.squashErrors || (error instanceof AbortError)) throw error;
       cache.delete(target);
       retry.push(target);
       if (options.onerror) errors.set(target, error);
@@ -3,10 +3,12 @@
 
 const {requireAsync, resolveModulePath, resolveModulePathSync, syncRequire} = require('./require');
 const {reflect, deprecated, promiseLibraryWrap} = require('./util');
-const {clear, getStore} = require('./stores');
+const {clear, getStore, getStats} = require('./stores');
 const Module = require('./Module');
 
 const cache = require('./cache');
+const graph = require('./graph');
+const mocks = require('./mock');
 
 function _exportEmitter(exported) {
   const emitter = require('./events');
@@ -15,7 +17,7 @@ function _exportEmitter(exported) {
     exported, [
       'addListener', 'emit', 'eventNames', 'getMaxListeners', 'listenerCount', 'listeners', 'on', 'once',
       'prependListener', 'prependOnceListener', 'removeAllListeners', 'removeListener', 'setMaxListeners',
-      'Error', 'Event', 'Loaded', 'Evaluated', 'Load', 'Evaluate'
+      'Error', 'Event', 'Loaded', 'Evaluated', 'Load', 'Evaluate', 'Change', 'Reloaded', 'Cycle'
     ]
   );
 
@@ -56,6 +58,26 @@ function _exportRequireMethods(exported, settings) {
   exported.import = promiseLibraryWrap(importDirectory, settings);
 
   exported.cache = cache;
+  exported.graph = ()=>graph;
+  exported.watch = require('./watch').watch;
+  exported.prefetchReport = require('./prefetch').report;
+  exported.cycleReport = require('./cycles').report;
+  exported.integrityReport = require('./integrity').report;
+  exported.writeLockfile = (...params)=>require('./lockfile').write(...params);
+  exported.bundle = promiseLibraryWrap((...params)=>require('./bundle').bundle(...params), settings);
+  exported.explain = promiseLibraryWrap((...params)=>require('./explain').explain(...params), settings);
+  exported.explain.render = (...params)=>require('./explain').render(...params);
+  exported.detect = require('./detect');
+  exported.loaders = require('./loaders');
+  exported.protocols = require('./protocols');
+  exported.transforms = require('./transforms');
+  exported.codeCache = require('./codeCache');
+  exported.sourceMaps = require('./sourceMaps');
+  exported.mock = (...params)=>mocks.mock(...params);
+  exported.unmock = (...params)=>mocks.unmock(...params);
+  exported.define = (...params)=>require('./virtual').define(...params);
+  exported.undefine = (...params)=>require('./virtual').undefine(...params);
+  exported.createRegistry = (...params)=>require('./registry').createRegistry(...params);
   exported.sync = syncRequire;
   exported.Module = Module;
 }
@@ -76,6 +98,7 @@ function _init() {
 
   exported.clearAllCache = clear;
   exported.getStore = getStore;
+  exported.getStoreStats = getStats;
 
   return exported;
 }
@@ -0,0 +1,190 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const settings = require('./settings');
+const {makeArray, isString, matchPath, hash} = require('./util');
+const {IntegrityError} = require('./errors');
+
+const ALGORITHMS = ['sha256', 'sha384', 'sha512'];
+const failures = [];
+let loaded = {source:undefined, manifest:undefined};
+
+/**
+ * Get the integrity options from settings.
+ *
+ * @private
+ * @returns {Object}      Options in the format {manifest, reportOnly, allow}.
+ */
+function _getOptions() {
+  return Object.assign({manifest:undefined, reportOnly:false, allow:[]}, settings.get('integrity') || {});
+}
+
+/**
+ * Get the manifest in use, reading it if the setting is a path.  Paths in the manifest are relative to its root,
+ * which defaults to the directory of the manifest file.
+ *
+ * @private
+ * @param {string|Object} source          The manifest or path to it.
+ * @returns {Object|undefined}            The manifest in the format {root, files}.
+ */
+function _getManifest(source) {
+  if (!source) return;
+  if (loaded.source === source) return loaded.manifest;
+
+  const manifest = (isString(source) ? JSON.parse(fs.readFileSync(source, 'utf-8')) : source);
+  const basedir = (isString(source) ? path.dirname(path.resolve(source)) : process.cwd());
+  loaded = {source, manifest:Object.assign({}, manifest, {root:path.resolve(basedir, manifest.root || '.')})};
+  return loaded.manifest;
+}
+
+/**
+ * Get the name of the package a file is in (from the last node_modules directory in its path).
+ *
+ * @private
+ * @param {string} filename           The file.
+ * @returns {string|undefined}        The package name.
+ */
+function _getPackageName(filename) {
+  const parts = filename.split(path.sep);
+  const at = parts.lastIndexOf('node_modules');
+  if ((at === -1) || !parts[at+1]) return;
+  return ((parts[at+1].charAt(0) === '@') ? `${parts[at+1]}/${parts[at+2]}` : parts[at+1]);
+}
+
+/**
+ * Is the given file allowed to change?  Allowlist entries are package names or patterns matched against the path
+ * relative to the manifest root.
+ *
+ * @private
+ * @param {string} relativePath       The path relative to the manifest root.
+ * @param {string} filename           The full path.
+ * @param {Array} allow               The allowlist.
+ * @returns {boolean}
+ */
+function _isAllowed(relativePath, filename, allow) {
+  const _allow = makeArray(allow);
+  if (!_allow.length) return false;
+  const packageName = _getPackageName(filename);
+  if (packageName && _allow.includes(packageName)) return true;
+  return matchPath(relativePath, _allow);
+}
+
+/**
+ * Get a hash in integrity format (eg. sha384-<base64>).
+ *
+ * @public
+ * @param {Buffer|string} content           The content.
+ * @param {string} [algorithm='sha384']     The algorithm.
+ * @returns {string}
+ */
+function getIntegrity(content, algorithm='sha384') {
+  if (!ALGORITHMS.includes(algorithm)) throw new TypeError(`Unsupported integrity algorithm: ${algorithm}`);
+  return `${algorithm}-${hash(content, algorithm, 'base64')}`;
+}
+
+/**
+ * Does some content match any of the given integrity hashes?
+ *
+ * @private
+ * @param {Buffer|string} content         The content.
+ * @param {Array.<string>} expected       Integrity hashes.
+ * @returns {string|undefined}            The content hash with the first algorithm if none match.
+ */
+function _checkHashes(content, expected) {
+  const actual = expected.map(integrity=>getIntegrity(content, integrity.split('-')[0]));
+  if (!actual.some((integrity, n)=>(integrity === expected[n]))) return actual[0];
+}
+
+/**
+ * Verify a file's content against the integrity manifest set in the 'integrity' setting.  Does nothing if no manifest
+ * is set.  Failures are recorded for report(); unless in report only mode, an IntegrityError is thrown.
+ *
+ * @public
+ * @param {string} filename           The file read.
+ * @param {Buffer|string} content     Its content.
+ * @returns {boolean}                 Did it pass (or was not checked)?
+ */
+function verify(filename, content) {
+  const {manifest:source, reportOnly, allow} = _getOptions();
+  const manifest = _getManifest(source);
+  if (!manifest) return true;
+
+  const relativePath = path.relative(manifest.root, filename).split(path.sep).join('/');
+  if (_isAllowed(relativePath, filename, allow)) return true;
+
+  const expected = makeArray((manifest.files || {})[relativePath]).filter(isString);
+  if (!expected.length) return _fail({filename, reason:'unlisted'}, reportOnly);
+  const actual = _checkHashes(content, expected);
+  if (actual === undefined) return true;
+  return _fail({filename, reason:'mismatch', expected, actual}, reportOnly);
+}
+
+/**
+ * Record a failure, throwing an IntegrityError unless in report only mode.
+ *
+ * @private
+ * @param {Object} failure            The failure (see IntegrityError).
+ * @param {boolean} reportOnly        Only report?
+ * @returns {boolean}                 Always false.
+ */
+function _fail(failure, reportOnly) {
+  failures.push(Object.assign({reportOnly:!!reportOnly}, failure));
+  if (!reportOnly) throw new IntegrityError(failure);
+  return false;
+}
+
+/**
+ * Generate a manifest for a directory tree.
+ *
+ * @public
+ * @param {string} root                                 The directory.
+ * @param {Object} [options]
+ * @param {string} [options.algorithm='sha384']         The hash algorithm (sha256, sha384 or sha512).
+ * @param {Array} [options.extensions]                  Extensions of files to include, defaults to the
+ *                                                      'extensions' setting.
+ * @param {Array} [options.exclude]                     Patterns for paths (relative to root) to leave out.
+ * @returns {Object}                                    The manifest.
+ */
+function generate(root, {algorithm='sha384', extensions=settings.get('extensions'), exclude=[]}={}) {
+  const _root = path.resolve(root);
+  const _extensions = makeArray(extensions);
+  const files = {};
+
+  const walk = dir=>fs.readdirSync(dir, {withFileTypes:true}).forEach(entry=>{
+    const filename = path.join(dir, entry.name);
+    const relativePath = path.relative(_root, filename).split(path.sep).join('/');
+    if ((entry.name === '.git') || matchPath(relativePath, exclude)) return;
+    if (entry.isDirectory()) return walk(filename);
+    if (entry.isFile() && _extensions.includes(path.extname(entry.name))) {
+      files[relativePath] = getIntegrity(fs.readFileSync(filename), algorithm);
+    }
+  });
+
+  walk(_root);
+  return {version:1, algorithm, files};
+}
+
+/**
+ * Get the integrity failures so far.
+ *
+ * @public
+ * @returns {Array.<Object>}    Failures in the format {filename, reason, expected, actual, reportOnly}.
+ */
+function report() {
+  return failures.map(failure=>Object.assign({}, failure));
+}
+
+/**
+ * Clear the failures and the loaded manifest (so it is read again).
+ *
+ * @public
+ */
+function clear() {
+  failures.length = 0;
+  loaded = {source:undefined, manifest:undefined};
+}
+
+module.exports = {
+  verify, generate, getIntegrity, report, clear
+};
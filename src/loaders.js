@@ -0,0 +1,222 @@
+'use strict';
+
+const path = require('path');
+const settings = require('./settings');
+const Module = require('./Module');
+const Node_Module = require('module');
+const cache = require('./cache');
+const {UnsupportedFileError} = require('./errors');
+const {makeArray, isFunction, isString} = require('./util');
+
+let registered = 0;
+
+/**
+ * Get a module from the result of a loader.  Loaders can return a Module or the exports to use.
+ *
+ * @private
+ * @param {Module|*} result     The loader result.
+ * @param {Object} config       The module config.
+ * @returns {Module}            The module.
+ */
+function _toModule(result, config) {
+  if (result instanceof Node_Module) return result;
+  const module = new Module(config);
+  module.exports = result;
+  module.loaded = true;
+  return module;
+}
+
+/**
+ * Is the given module config running in a sandbox?
+ *
+ * @private
+ * @param {Object} config     The module config.
+ * @returns {boolean}
+ */
+function _isSandboxed(config) {
+  const useSandbox = ((config.useSandbox !== undefined) ? config.useSandbox : settings.get('useSandbox'));
+  return !!(isFunction(useSandbox) ? useSandbox(config) : useSandbox);
+}
+
+/**
+ * A registered loader.
+ *
+ * @class
+ */
+class Loader {
+  /**
+   * @param {Object} definition                           The loader definition.
+   * @param {string} definition.name                      Loader name.
+   * @param {Function} definition.load                    The load function, receives (content, config) and returns
+   *                                                      the exports (or a Module), or a promise for either.
+   * @param {Array.<string>|string} [definition.extensions] File extensions to handle.
+   * @param {Function} [definition.test]                  Test function, receives (filename, config), return true to
+   *                                                      handle the file.
+   * @param {number} [definition.priority=0]              Higher priority loaders are tried first.
+   * @param {boolean} [definition.sandbox=true]           Can this loader be used for sandboxed modules?
+   */
+  constructor({name, load, extensions=[], test, priority=0, sandbox=true}) {
+    if (!isString(name)) throw new TypeError('Loaders must have a name');
+    if (!isFunction(load)) throw new TypeError(`Loader ${name} must have a load function`);
+
+    this.name = name;
+    this.load = load;
+    this.extensions = makeArray(extensions);
+    this.test = test;
+    this.priority = priority;
+    this.sandbox = sandbox;
+    this.order = registered++;
+  }
+
+  /**
+   * Can this loader handle the given file and config?
+   *
+   * @param {string} filename     The file.
+   * @param {Object} [config={}]  The module config.
+   * @returns {boolean}
+   */
+  handles(filename, config={}) {
+    if (!this.sandbox && _isSandboxed(config)) return false;
+    if (this.extensions.length && (this.extensions.indexOf(path.extname(filename)) === -1)) return false;
+    if (isFunction(this.test)) return !!this.test(filename, config);
+    return !!this.extensions.length;
+  }
+
+  /**
+   * Run the loader for a given module config.
+   *
+   * @param {Object} config                   The module config.
+   * @param {Object} [options]                Parser options.
+   * @returns {Module|Promise.<Module>}       The loaded module.
+   */
+  run(config, options) {
+    const result = this.load(config.content, config, options);
+    if (!result || !isFunction(result.then)) return _toModule(result, config);
+    if (config.sync) throw new Error(`The loader "${this.name}" is asynchronous and cannot be used to load ${config.filename} synchronously.`);
+    return result.then(result=>_toModule(result, config));
+  }
+}
+
+/**
+ * Registry of loaders for different file types.
+ *
+ * @class
+ */
+class Loaders {
+  constructor() {
+    this.loaders = new Map();
+    this.UnsupportedFileError = UnsupportedFileError;
+  }
+
+  /**
+   * Register a new loader.  Any extensions it handles are added to the 'extensions' setting.  Registering with the
+   * name of an existing loader replaces it.
+   *
+   * @param {Object} definition     The loader definition (see Loader).
+   * @returns {Loader}              The new loader.
+   */
+  register(definition) {
+    const loader = new Loader(definition);
+    if (this.loaders.has(loader.name)) this.unregister(loader.name);
+    this.loaders.set(loader.name, loader);
+    if (loader.extensions.length) {
+      const extensions = makeArray(settings.get('extensions'));
+      loader.addedExtensions = loader.extensions.filter(ext=>(extensions.indexOf(ext) === -1));
+      settings.add('extensions', loader.extensions);
+    }
+    return loader;
+  }
+
+  /**
+   * Remove a loader.  Extensions added to the 'extensions' setting when it was registered are removed, unless
+   * another registered loader also adds them.
+   *
+   * @param {string|Loader} name    The loader (or its name) to remove.
+   * @returns {boolean}             Was it removed?
+   */
+  unregister(name) {
+    const loader = this.loaders.get(isString(name) ? name : name.name);
+    if (!loader || !this.loaders.delete(loader.name)) return false;
+
+    const remove = (loader.addedExtensions || [])
+      .filter(ext=>![...this.loaders.values()].find(loader=>(loader.extensions.indexOf(ext) !== -1)));
+    if (remove.length) settings.set('extensions', makeArray(settings.get('extensions')).filter(ext=>(remove.indexOf(ext) === -1)));
+    return true;
+  }
+
+  /**
+   * Is there a loader with the given name?
+   *
+   * @param {string} name     The loader name.
+   * @returns {boolean}
+   */
+  has(name) {
+    return this.loaders.has(name);
+  }
+
+  /**
+   * Get a loader by name.
+   *
+   * @param {string} name             The loader name.
+   * @returns {Loader|undefined}
+   */
+  get(name) {
+    return this.loaders.get(name);
+  }
+
+  /**
+   * Get all the loaders that can handle the given file, highest priority first.  Loaders with the same priority are
+   * in reverse order of registration, so newer loaders win.
+   *
+   * @param {string} filename         The file to get loaders for.
+   * @param {Object} [config]         The module config.
+   * @returns {Array.<Loader>}
+   */
+  find(filename, config) {
+    return [...this.loaders.values()]
+      .filter(loader=>loader.handles(filename, config))
+      .sort((a, b)=>((b.priority - a.priority) || (b.order - a.order)));
+  }
+
+  /**
+   * Load a module with the loaders that can handle it.  If a loader throws (or rejects) an UnsupportedFileError, the
+   * next one is tried; any other error is thrown straight away.  A module left unloaded in the cache by a failed
+   * load is removed.
+   *
+   * @param {string} filename                 The file to load (used to find the loaders).
+   * @param {Object} config                   The module config.
+   * @param {Object} [options]                Parser options.
+   * @returns {Module|Promise.<Module>}       The loaded module.
+   */
+  load(filename, config, options) {
+    const found = this.find(filename, config);
+    const next = n=>{
+      const failed = error=>{
+        if (cache.has(config.filename) && !cache.get(config.filename).loaded) cache.delete(config.filename);
+        if ((error instanceof UnsupportedFileError) && ((n + 1) < found.length)) return next(n + 1);
+        throw error;
+      };
+
+      let result;
+      try {
+        result = found[n].run(config, options);
+      } catch(error) {
+        return failed(error);
+      }
+      return ((result && isFunction(result.then)) ? result.then(undefined, failed) : result);
+    };
+
+    return next(0);
+  }
+
+  /**
+   * All the extensions with a loader.
+   *
+   * @returns {Array.<string>}
+   */
+  get extensions() {
+    return [...new Set([].concat(...[...this.loaders.values()].map(loader=>loader.extensions)))];
+  }
+}
+
+module.exports = new Loaders();
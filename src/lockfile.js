@@ -0,0 +1,270 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const settings = require('./settings');
+const {readDirCache} = require('./stores');
+const {isString, writeFileAtomicSync} = require('./util');
+const {LockfileError} = require('./errors');
+
+const VERSION = 1;
+const recorded = {resolutions:new Map(), directories:new Map()};
+let replayed = {file:undefined, moduleDirectory:undefined, resolutions:new Map(), directories:new Map()};
+let seeder = ()=>{};
+
+/**
+ * Get the lockfile options from settings.
+ *
+ * @private
+ * @returns {Object}      Options in the format {file, mode, strict}.
+ */
+function _getOptions() {
+  return Object.assign({file:undefined, mode:undefined, strict:false}, settings.get('lockfile') || {});
+}
+
+/**
+ * Remove any trailing separator from a directory, matching the keys used by the stores.
+ *
+ * @private
+ * @param {string} dir        The directory.
+ * @returns {string}
+ */
+function _trimDir(dir) {
+  return ((dir.length > 1) ? dir.replace(/[\/\\]+$/, '') : dir);
+}
+
+/**
+ * Get the moduleDirectory resolutions are recorded for.  Resolutions with any other moduleDirectory are not recorded.
+ *
+ * @private
+ * @returns {string}
+ */
+function _getModuleDirectory() {
+  return settings.get('moduleDirectory') || 'node_modules';
+}
+
+/**
+ * Get a path relative to the lockfile, in posix format.
+ *
+ * @private
+ * @param {string} root         The lockfile directory.
+ * @param {string} filename     The absolute path.
+ * @returns {string}
+ */
+function _toRelative(root, filename) {
+  return path.relative(root, filename).split(path.sep).join('/') || '.';
+}
+
+/**
+ * Is the given module id one that needs resolving against the lockfile?  Core modules and absolute paths are not
+ * looked up in module directories, so are not recorded.
+ *
+ * @private
+ * @param {string} moduleId     The module id.
+ * @returns {boolean}
+ */
+function _isLockable(moduleId) {
+  return (isString(moduleId) && !path.isAbsolute(moduleId) && !settings.get('resolveModule').isCore(moduleId));
+}
+
+/**
+ * Record a resolution, if recording.
+ *
+ * @public
+ * @param {string} moduleId           The module id resolved.
+ * @param {Object} options            The resolver options used.
+ * @param {string} options.basedir    The directory resolved from.
+ * @param {string} filename           What it resolved to.
+ */
+function record(moduleId, {basedir, moduleDirectory}, filename) {
+  if (_getOptions().mode !== 'record') return;
+  if (!_isLockable(moduleId) || !isString(filename) || !path.isAbsolute(filename) || !basedir) return;
+  if (moduleDirectory && (moduleDirectory !== _getModuleDirectory())) return;
+
+  const _basedir = _trimDir(basedir);
+  if (!recorded.resolutions.has(_basedir)) recorded.resolutions.set(_basedir, new Map());
+  recorded.resolutions.get(_basedir).set(moduleId, filename);
+}
+
+/**
+ * Record a directory listing, if recording.
+ *
+ * @public
+ * @param {string} dir                  The directory.
+ * @param {Array.<string>} files        Its contents.
+ */
+function recordDirectory(dir, files) {
+  if (_getOptions().mode !== 'record') return;
+  recorded.directories.set(_trimDir(dir), [...files]);
+}
+
+/**
+ * Get a directory listing from the replayed lockfile.  These are also in the directory store but that is only used
+ * when the 'useCache' setting is on.
+ *
+ * @public
+ * @param {string} dir                      The directory.
+ * @returns {Array.<string>|undefined}      The listing or undefined if not in the lockfile (or not replaying).
+ */
+function getDirectory(dir) {
+  if (_getOptions().mode !== 'replay') return;
+  const files = replayed.directories.get(_trimDir(dir));
+  if (files) return [...files];
+}
+
+/**
+ * Check a resolution is in the replayed lockfile when in strict mode.  Core modules and absolute paths are always
+ * allowed.
+ *
+ * @public
+ * @throws {LockfileError}            When in strict replay mode and the resolution is not covered.
+ * @param {string} moduleId           The module id to resolve.
+ * @param {Object} options            The resolver options.
+ * @param {string} options.basedir    The directory resolving from.
+ */
+function check(moduleId, {basedir}) {
+  const {mode, strict} = _getOptions();
+  if ((mode !== 'replay') || !strict) return;
+  if (!_isLockable(moduleId)) return;
+
+  const resolutions = replayed.resolutions.get(_trimDir(basedir || ''));
+  if (!resolutions || !resolutions.has(moduleId)) {
+    throw new LockfileError({moduleId, basedir, lockfile:replayed.file});
+  }
+}
+
+/**
+ * Get what has been recorded as a lockfile object, with paths relative to the given directory.
+ *
+ * @public
+ * @param {string} [root=process.cwd()]     The directory the lockfile is in.
+ * @returns {Object}                        The lockfile in the format {version, moduleDirectory, resolutions,
+ *                                          directories}.
+ */
+function toJSON(root=process.cwd()) {
+  const resolutions = {};
+  const directories = {};
+
+  [...recorded.resolutions.keys()].sort().forEach(basedir=>{
+    const _resolutions = recorded.resolutions.get(basedir);
+    resolutions[_toRelative(root, basedir)] = {};
+    [..._resolutions.keys()].sort().forEach(moduleId=>{
+      resolutions[_toRelative(root, basedir)][moduleId] = _toRelative(root, _resolutions.get(moduleId));
+    });
+  });
+  [...recorded.directories.keys()].sort().forEach(dir=>{
+    directories[_toRelative(root, dir)] = recorded.directories.get(dir);
+  });
+
+  return {version:VERSION, moduleDirectory:_getModuleDirectory(), resolutions, directories};
+}
+
+/**
+ * Write what has been recorded to a lockfile.
+ *
+ * @public
+ * @param {string} [file]         The lockfile to write, defaults to the file in the 'lockfile' setting.
+ * @returns {Object}              The lockfile written.
+ */
+function write(file=_getOptions().file) {
+  if (!file) throw new TypeError('No lockfile given to write to');
+  const _file = path.resolve(file);
+  const lockfile = toJSON(path.dirname(_file));
+  if (!writeFileAtomicSync(_file, `${JSON.stringify(lockfile, null, 2)}\n`)) {
+    throw new Error(`Could not write lockfile ${_file}`);
+  }
+  return lockfile;
+}
+
+/**
+ * Set the function that puts replayed resolutions in the resolve store.  The store is keyed by resolver options, so
+ * this is set by the resolver.  Anything already replayed is passed to it straight away.
+ *
+ * @public
+ * @param {Function} seed     Function receiving the replayed resolutions, in the format Map(basedir=>Map(moduleId=>
+ *                            filename)), and the moduleDirectory they were recorded with.
+ */
+function setSeeder(seed) {
+  seeder = seed;
+  if (replayed.resolutions.size) seeder(replayed.resolutions, replayed.moduleDirectory);
+}
+
+/**
+ * Does a locked file still exist (on disk or as a virtual module)?
+ *
+ * @private
+ * @param {string} filename     The file.
+ * @returns {boolean}
+ */
+function _exists(filename) {
+  return (fs.existsSync(filename) || require('./virtual').has(filename));
+}
+
+/**
+ * Load a lockfile for replay, seeding the resolve store with its resolutions and the directory store with its
+ * import() directory listings.  Resolutions to files that no longer exist are dropped.
+ *
+ * @public
+ * @param {string|Object} [file]      The lockfile (or its path), defaults to the file in the 'lockfile' setting.
+ * @returns {Object}                  The lockfile loaded.
+ */
+function load(file=_getOptions().file) {
+  if (!file) throw new TypeError('No lockfile given to load');
+  const lockfile = (isString(file) ? JSON.parse(fs.readFileSync(file, 'utf-8')) : file);
+  const root = (isString(file) ? path.dirname(path.resolve(file)) : process.cwd());
+  const moduleDirectory = lockfile.moduleDirectory || _getModuleDirectory();
+
+  replayed = {
+    file:(isString(file) ? path.resolve(file) : undefined),
+    moduleDirectory,
+    resolutions:new Map(),
+    directories:new Map()
+  };
+  Object.keys(lockfile.resolutions || {}).forEach(_basedir=>{
+    const basedir = path.resolve(root, _basedir);
+    const resolutions = new Map();
+    replayed.resolutions.set(basedir, resolutions);
+    Object.keys(lockfile.resolutions[_basedir]).forEach(moduleId=>{
+      const filename = path.resolve(root, lockfile.resolutions[_basedir][moduleId]);
+      if (_exists(filename)) resolutions.set(moduleId, filename);
+    });
+  });
+  seeder(replayed.resolutions, moduleDirectory);
+  Object.keys(lockfile.directories || {}).forEach(dir=>{
+    replayed.directories.set(path.resolve(root, dir), lockfile.directories[dir]);
+    readDirCache.set(path.resolve(root, dir), [null, [...lockfile.directories[dir]]]);
+  });
+
+  return lockfile;
+}
+
+/**
+ * Apply the 'lockfile' setting, loading the lockfile straight away in replay mode.
+ *
+ * @public
+ * @param {Object} [options={}]             The setting.
+ * @param {string} [options.file]           The lockfile path.
+ * @param {string} [options.mode]           'record' or 'replay'.
+ * @param {boolean} [options.strict=false]  In replay mode, fail on resolutions not in the lockfile.
+ */
+function configure({file, mode}={}) {
+  if ((mode !== undefined) && !['record', 'replay'].includes(mode)) {
+    throw new TypeError(`Unknown lockfile mode: ${mode}, use 'record' or 'replay'`);
+  }
+  if ((mode === 'replay') && file) load(file);
+}
+
+/**
+ * Clear what has been recorded and replayed.
+ *
+ * @public
+ */
+function clear() {
+  recorded.resolutions.clear();
+  recorded.directories.clear();
+  replayed = {file:undefined, moduleDirectory:undefined, resolutions:new Map(), directories:new Map()};
+}
+
+module.exports = {
+  record, recordDirectory, getDirectory, check, toJSON, write, setSeeder, load, configure, clear
+};
@@ -0,0 +1,513 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const semver = require('semver');
+const {getPackageScope, getModuleDirectories} = require('./packages');
+const {isFile, isFileSync, isDirectory, isDirectorySync, readFile} = require('./fs');
+const {fileCache, versionCache} = require('./stores');
+const {isString, isObject, makeArray} = require('./util');
+const {PackageImportError, PackageExportError, VersionNotFoundError} = require('./errors');
+
+const EMPTY_MODULE = 'data:text/javascript,';
+const defaultConditions = Object.freeze(['require', 'node', 'default']);
+
+/**
+ * Is the given id a relative path?
+ *
+ * @private
+ * @param {string} id
+ * @returns {boolean}
+ */
+function _isRelative(id) {
+  return /^\.{1,2}(?:[\\\/]|$)/.test(id);
+}
+
+/**
+ * Find the entry in a map matching a module id, in the way node does for package imports and exports.  Exact keys
+ * win, otherwise the pattern key (with one *) with the longest prefix is used.
+ *
+ * @public
+ * @param {Object} map                  The map, with exact or pattern keys.
+ * @param {string} id                   The id to match.
+ * @returns {Object|undefined}          Object in the format {key, target, match}, where match is the part of the id
+ *                                      matched by the *.
+ */
+function matchPattern(map, id) {
+  if (Object.prototype.hasOwnProperty.call(map, id) && !id.includes('*')) return {key:id, target:map[id]};
+
+  let best;
+  Object.keys(map).forEach(key=>{
+    const star = key.indexOf('*');
+    if ((star === -1) || (key.indexOf('*', star+1) !== -1)) return;
+    const prefix = key.substring(0, star);
+    const suffix = key.substring(star+1);
+    if ((id.length < (prefix.length + suffix.length)) || !id.startsWith(prefix) || !id.endsWith(suffix)) return;
+    if (best && ((best.prefix.length > prefix.length) || ((best.prefix.length === prefix.length) && (best.key.length >= key.length)))) return;
+    best = {key, prefix, target:map[key], match:id.substring(prefix.length, id.length - suffix.length)};
+  });
+
+  if (best) return {key:best.key, target:best.target, match:best.match};
+}
+
+/**
+ * Get the target to use from an imports or exports entry.  Targets can be a string, an array of fallbacks or an object
+ * of conditions (checked in the order they are written, 'default' always matching).
+ *
+ * @public
+ * @param {string|Array|Object|null} target               The entry.
+ * @param {string} [match]                                The part of the id to put in place of any * in the target.
+ * @param {Array.<string>} [conditions=defaultConditions] The conditions to match.
+ * @returns {string|null|undefined}                       The target, null if blocked or undefined if no conditions
+ *                                                        match.
+ */
+function resolveTarget(target, match, conditions=defaultConditions) {
+  if (target === null) return null;
+  if (isString(target)) return ((match === undefined) ? target : target.split('*').join(match));
+  if (Array.isArray(target)) {
+    let blocked;
+    for (let n=0; n<target.length; n++) {
+      const resolved = resolveTarget(target[n], match, conditions);
+      if (isString(resolved)) return resolved;
+      if (resolved === null) blocked = null;
+    }
+    return blocked;
+  }
+  if (isObject(target)) {
+    const conditionNames = Object.keys(target);
+    for (let n=0; n<conditionNames.length; n++) {
+      if ((conditionNames[n] !== 'default') && !conditions.includes(conditionNames[n])) continue;
+      const resolved = resolveTarget(target[conditionNames[n]], match, conditions);
+      if (resolved !== undefined) return resolved;
+    }
+  }
+}
+
+/**
+ * Resolve the relative path targets of a set of aliases against a directory.
+ *
+ * @public
+ * @param {Object} [aliases]              The aliases.
+ * @param {string} basedir                The directory relative targets are from.
+ * @returns {Object|undefined}            The aliases with absolute path targets.
+ */
+function resolveAliases(aliases, basedir) {
+  if (!isObject(aliases)) return aliases;
+  const resolved = {};
+  Object.keys(aliases).forEach(key=>{
+    const target = aliases[key];
+    resolved[key] = ((isString(target) && _isRelative(target)) ? path.resolve(basedir, target) : target);
+  });
+  return resolved;
+}
+
+/**
+ * Map a module id through a set of aliases.  Keys can be exact (ending in $), exact or prefix (eg. '~' matching '~'
+ * and '~/lib/x') or a pattern with one *.  Exact matches win, then the longest prefix or pattern.  Values are ids or
+ * paths, or false for an empty module.  Relative paths should be resolved first (see resolveAliases()); any left are
+ * from the current working directory.
+ *
+ * @public
+ * @param {string} moduleId               The module id.
+ * @param {Object} [aliases]              The aliases.
+ * @returns {string|undefined}            The mapped id or undefined if no alias matches.
+ */
+function mapAlias(moduleId, aliases) {
+  if (!isString(moduleId) || !isObject(aliases)) return;
+
+  let best;
+  const consider = (length, target, rest='')=>{
+    if (!best || (length > best.length)) best = {length, target, rest};
+  };
+
+  Object.keys(aliases).forEach(key=>{
+    if (key.includes('*')) {
+      const found = matchPattern({[key]:aliases[key]}, moduleId);
+      if (found) consider(key.indexOf('*'), (isString(found.target) ? resolveTarget(found.target, found.match) : found.target));
+    } else if (key.charAt(key.length-1) === '$') {
+      if (moduleId === key.substring(0, key.length-1)) consider(Infinity, aliases[key]);
+    } else if (moduleId === key) {
+      consider(Infinity, aliases[key]);
+    } else if (moduleId.startsWith(`${key}/`)) {
+      consider(key.length, aliases[key], moduleId.substring(key.length));
+    }
+  });
+
+  if (!best) return;
+  if (best.target === false) return EMPTY_MODULE;
+  if (!isString(best.target)) throw new TypeError(`Invalid alias for ${moduleId}, aliases must be strings or false`);
+  const mapped = `${best.target}${best.rest}`;
+  return (_isRelative(mapped) ? path.resolve(mapped) : mapped);
+}
+
+/**
+ * Map a # module id through the "imports" field of the nearest package.json.
+ *
+ * @public
+ * @throws {PackageImportError}                           When the id is not in the imports (or is blocked).
+ * @param {string} moduleId                               The module id.
+ * @param {string} basedir                                The directory it is required from.
+ * @param {Array.<string>} [conditions=defaultConditions] The conditions to match.
+ * @returns {Object|undefined}                            Object in the format {id, basedir}, with the new id and the
+ *                                                        package directory to resolve it from; or undefined if not a
+ *                                                        # id.
+ */
+function mapImport(moduleId, basedir, conditions=defaultConditions) {
+  if (!isString(moduleId) || (moduleId.charAt(0) !== '#')) return;
+
+  const scope = getPackageScope(basedir);
+  const imports = ((scope && isObject(scope.data.imports)) ? scope.data.imports : {});
+  const found = matchPattern(imports, moduleId);
+  const target = (found ? resolveTarget(found.target, found.match, conditions) : undefined);
+  if (!isString(target)) throw new PackageImportError({specifier:moduleId, basedir, filename:(scope || {}).filename});
+
+  return {id:(_isRelative(target) ? path.join(scope.dir, target) : target), basedir:scope.dir};
+}
+
+/**
+ * Split a bare module id into its package name and subpath (in the format used by "exports", eg. '.' or './lib/x').
+ *
+ * @public
+ * @param {string} moduleId         The module id.
+ * @returns {Object|undefined}      Object in the format {name, subpath} or undefined if not a bare id.
+ */
+function parsePackageId(moduleId) {
+  const match = /^((?:@[^\/\\:]+\/)?[^\/\\:.#][^\/\\:]*)(\/.*)?$/.exec(moduleId);
+  if (match) return {name:match[1], subpath:`.${match[2] || ''}`};
+}
+
+/**
+ * Find the package.json for a package, looking in the module directories up from basedir and then the extra paths.
+ * A package requiring itself by name uses its own package.json.
+ *
+ * @private
+ * @param {string} name                                 The package name.
+ * @param {string} basedir                              The directory it is required from.
+ * @param {Array.<string>|string} moduleDirectory       The module directory names.
+ * @param {Array.<string>} paths                        Extra directories to look in.
+ * @returns {Object|undefined}                          The package in the format {dir, filename, data}.
+ */
+function _findPackage(name, basedir, moduleDirectory, paths) {
+  const scope = getPackageScope(basedir);
+  if (scope && (scope.data.name === name) && (scope.data.exports !== undefined)) return scope;
+
+  const dirs = [...getModuleDirectories(basedir, moduleDirectory), ...paths];
+
+  for (let n=0; n<dirs.length; n++) {
+    const dir = path.join(dirs[n], name);
+    if (isFileSync(path.join(dir, 'package.json'))) return getPackageScope(dir);
+  }
+}
+
+/**
+ * Map a bare module id through the "exports" field of its package.json.  Packages without "exports" are left to be
+ * resolved as normal.
+ *
+ * @public
+ * @throws {PackageExportError}                   When the subpath is not exported (or is blocked).
+ * @param {string} moduleId                       The module id.
+ * @param {string} basedir                        The directory it is required from.
+ * @param {Object} [options]
+ * @param {Array.<string>} [options.conditions=defaultConditions]   The conditions to match.
+ * @param {Array.<string>|string} [options.moduleDirectory='node_modules']    The module directory names.
+ * @param {Array.<string>} [options.paths=[]]     Extra directories to look for packages in.
+ * @returns {Object|undefined}                    Object in the format {id, basedir}, with the path of the exported
+ *                                                file and the package directory; or undefined if not an exported
+ *                                                package.
+ */
+function mapExport(moduleId, basedir, {conditions=defaultConditions, moduleDirectory='node_modules', paths=[]}={}) {
+  const parsed = (isString(moduleId) ? parsePackageId(moduleId) : undefined);
+  if (!parsed) return;
+
+  const pkg = _findPackage(parsed.name, basedir, moduleDirectory, paths);
+  if (!pkg || (pkg.data.exports === undefined)) return;
+  return _mapPackageExports(pkg, parsed.subpath, moduleId, basedir, conditions);
+}
+
+/**
+ * Map a subpath through the "exports" of a package.
+ *
+ * @private
+ * @throws {PackageExportError}             When the subpath is not exported (or is blocked).
+ * @param {Object} pkg                      The package in the format {dir, filename, data}.
+ * @param {string} subpath                  The subpath (eg. '.' or './lib/x').
+ * @param {string} moduleId                 The module id requested.
+ * @param {string} basedir                  The directory it is required from.
+ * @param {Array.<string>} conditions       The conditions to match.
+ * @returns {Object}                        Object in the format {id, basedir}.
+ */
+function _mapPackageExports(pkg, subpath, moduleId, basedir, conditions) {
+  const exported = pkg.data.exports;
+  const exportsMap = ((isObject(exported) && Object.keys(exported).every(key=>(key.charAt(0) === '.'))) ?
+    exported :
+    {'.': exported}
+  );
+  const found = matchPattern(exportsMap, subpath);
+  const target = (found ? resolveTarget(found.target, found.match, conditions) : undefined);
+  if (!isString(target) || !target.startsWith('./')) {
+    throw new PackageExportError({
+      specifier:moduleId, subpath, basedir, filename:pkg.filename, blocked:(target === null)
+    });
+  }
+
+  return {id:path.join(pkg.dir, target), basedir:pkg.dir};
+}
+
+/**
+ * Split a module id with a version range (eg. 'lodash@^4.17' or 'lodash@^4.17/fp') into its package name, range and
+ * subpath.
+ *
+ * @public
+ * @param {string} moduleId         The module id.
+ * @returns {Object|undefined}      Object in the format {name, range, subpath} or undefined if the id has no range.
+ */
+function parseVersionId(moduleId) {
+  const match = /^((?:@[^\/\\:@]+\/)?[^\/\\:@.#][^\/\\:@]*)@([^\/\\]+)(\/.*)?$/.exec(moduleId);
+  if (match) return {name:match[1], range:match[2], subpath:`.${match[3] || ''}`};
+}
+
+/**
+ * Get the key copies of a package are stored under in the version store.
+ *
+ * @private
+ * @param {string} name                                 The package name.
+ * @param {Array.<string>} dirs                         The module directories looked in.
+ * @param {Array.<string>|string} moduleDirectory       The module directory names.
+ * @returns {string}
+ */
+function _getCopiesKey(name, dirs, moduleDirectory) {
+  return JSON.stringify([name, dirs, moduleDirectory]);
+}
+
+/**
+ * Get the package directories in a module directory listing, expanding scopes (eg. @babel).
+ *
+ * @private
+ * @param {string} dir                          The module directory.
+ * @param {Array.<fs.Dirent>} entries           Its contents.
+ * @param {Function} readDirs                   Function to get the directories in a scope (sync or async).
+ * @returns {Array.<string|Promise>}            The package directories (or promises for arrays of them).
+ */
+function _getPackageDirs(dir, entries, readDirs) {
+  return entries.filter(entry=>entry.isDirectory() && (entry.name.charAt(0) !== '.')).map(entry=>{
+    if (entry.name.charAt(0) !== '@') return [path.join(dir, entry.name)];
+    const scope = path.join(dir, entry.name);
+    const scoped = readDirs(scope);
+    const toDirs = names=>names.map(name=>path.join(scope, name));
+    return ((scoped instanceof Promise) ? scoped.then(toDirs) : toDirs(scoped));
+  });
+}
+
+/**
+ * Find the installed copies of a package in the given module directories, including copies nested in the module
+ * directories of other packages.  Symlinked directories are not followed into, so links cannot loop.  Results are
+ * kept in the version store until the caches are cleared.
+ *
+ * @private
+ * @param {string} name                                 The package name.
+ * @param {Array.<string>} dirs                         The module directories to look in.
+ * @param {Array.<string>|string} moduleDirectory       The module directory names.
+ * @returns {Array.<Object>}                            The copies in the format {version, dir, filename, data}.
+ */
+function _findCopies(name, dirs, moduleDirectory) {
+  const key = _getCopiesKey(name, dirs, moduleDirectory);
+  if (versionCache.has(key)) return versionCache.get(key);
+
+  const copies = [];
+  const seen = new Set();
+  const walk = dir=>{
+    if (seen.has(dir)) return;
+    seen.add(dir);
+
+    if (isFileSync(path.join(dir, name, 'package.json'))) {
+      const pkg = getPackageScope(path.join(dir, name));
+      if (pkg && semver.valid(pkg.data.version)) copies.push({version:pkg.data.version, ...pkg});
+    }
+
+    let entries = [];
+    try {
+      entries = fs.readdirSync(dir, {withFileTypes:true});
+    } catch(err) {}
+    _getPackageDirs(dir, entries, _readDirs).forEach(packageDirs=>packageDirs.forEach(packageDir=>{
+      makeArray(moduleDirectory).forEach(moduleDirectory=>{
+        const nested = path.join(packageDir, moduleDirectory);
+        if (isDirectorySync(nested)) walk(nested);
+      });
+    }));
+  };
+
+  dirs.forEach(walk);
+  versionCache.set(key, copies);
+  return copies;
+}
+
+/**
+ * Find the installed copies of a package asynchronously (see _findCopies()).
+ *
+ * @private
+ * @param {string} name                                 The package name.
+ * @param {Array.<string>} dirs                         The module directories to look in.
+ * @param {Array.<string>|string} moduleDirectory       The module directory names.
+ * @returns {Promise.<Array.<Object>>}                  The copies in the format {version, dir, filename, data}.
+ */
+async function _findCopiesAsync(name, dirs, moduleDirectory) {
+  const key = _getCopiesKey(name, dirs, moduleDirectory);
+  if (versionCache.has(key)) return versionCache.get(key);
+
+  const copies = [];
+  const seen = new Set();
+  const walk = async dir=>{
+    if (seen.has(dir)) return;
+    seen.add(dir);
+
+    const filename = path.join(dir, name, 'package.json');
+    if (await isFile(filename)) {
+      await readFile(filename, fileCache).catch(err=>undefined); // So getPackageScope() reads it from the cache.
+      const pkg = getPackageScope(path.join(dir, name));
+      if (pkg && semver.valid(pkg.data.version)) copies.push({version:pkg.data.version, ...pkg});
+    }
+
+    const entries = await fs.promises.readdir(dir, {withFileTypes:true}).catch(err=>[]);
+    const packageDirs = [].concat(...await Promise.all(_getPackageDirs(dir, entries, _readDirsAsync)));
+    const nested = packageDirs.reduce((nested, packageDir)=>[
+      ...nested, ...makeArray(moduleDirectory).map(moduleDirectory=>path.join(packageDir, moduleDirectory))
+    ], []);
+    const isNested = await Promise.all(nested.map(dir=>isDirectory(dir).catch(err=>false)));
+    for (let n=0; n<nested.length; n++) {
+      if (isNested[n]) await walk(nested[n]);
+    }
+  };
+
+  for (let n=0; n<dirs.length; n++) await walk(dirs[n]);
+  versionCache.set(key, copies);
+  return copies;
+}
+
+/**
+ * Get the names of the (non-symlinked) directories in a directory.
+ *
+ * @private
+ * @param {string} dir                The directory.
+ * @returns {Array.<string>}
+ */
+function _readDirs(dir) {
+  try {
+    return fs.readdirSync(dir, {withFileTypes:true}).filter(entry=>entry.isDirectory()).map(entry=>entry.name);
+  } catch(err) {
+    return [];
+  }
+}
+
+/**
+ * Get the names of the (non-symlinked) directories in a directory asynchronously.
+ *
+ * @private
+ * @param {string} dir                        The directory.
+ * @returns {Promise.<Array.<string>>}
+ */
+function _readDirsAsync(dir) {
+  return fs.promises.readdir(dir, {withFileTypes:true}).then(
+    entries=>entries.filter(entry=>entry.isDirectory()).map(entry=>entry.name),
+    err=>[]
+  );
+}
+
+/**
+ * Parse a versioned module id, getting the range and the module directories to look for copies in.
+ *
+ * @private
+ * @param {string} moduleId                       The module id.
+ * @param {string} basedir                        The directory it is required from.
+ * @param {Object} options                        The options given to mapVersion().
+ * @returns {Object|undefined}                    Object in the format {name, range, subpath, dirs} or undefined if
+ *                                                there is no range.
+ */
+function _parseVersioned(moduleId, basedir, {version, moduleDirectory='node_modules', paths=[], roots=[]}) {
+  if (!isString(moduleId)) return;
+  const parsed = parseVersionId(moduleId) || ((version !== undefined) ? parsePackageId(moduleId) : undefined);
+  if (!parsed) return;
+  const range = parsed.range || version;
+  if (!semver.validRange(range)) throw new TypeError(`Invalid version range "${range}" for ${parsed.name}`);
+
+  const dirs = [
+    ...getModuleDirectories(basedir, moduleDirectory),
+    ...paths.map(dir=>path.resolve(basedir, dir)),
+    ...makeArray(roots).map(root=>getModuleDirectories(root, moduleDirectory)).reduce((dirs, _dirs)=>[...dirs, ..._dirs], [])
+  ];
+  return {...parsed, range, dirs:[...new Set(dirs)]};
+}
+
+/**
+ * Pick the highest copy satisfying the range and map the id into it.
+ *
+ * @private
+ * @throws {VersionNotFoundError}                 When no copy satisfies the range.
+ * @param {string} moduleId                       The module id.
+ * @param {string} basedir                        The directory it is required from.
+ * @param {Object} parsed                         The parsed id (see _parseVersioned()).
+ * @param {Array.<Object>} copies                 The copies found.
+ * @param {Array.<string>} conditions             The conditions to match.
+ * @returns {Object}                              Object in the format {id, basedir, version}.
+ */
+function _pickCopy(moduleId, basedir, {name, range, subpath}, copies, conditions) {
+  const best = semver.maxSatisfying(copies.map(copy=>copy.version), range);
+  if (!best) {
+    throw new VersionNotFoundError({name, range, basedir, found:copies.map(({version, dir})=>({version, dir}))});
+  }
+
+  const pkg = copies.find(copy=>(copy.version === best));
+  const mapped = ((pkg.data.exports !== undefined) ?
+    _mapPackageExports(pkg, subpath, moduleId, basedir, conditions) :
+    {id:path.join(pkg.dir, subpath), basedir:pkg.dir}
+  );
+  return {...mapped, version:best};
+}
+
+/**
+ * Map a bare module id to the highest installed copy of its package satisfying a version range.  The range is either
+ * in the id (eg. 'lodash@^4.17') or given as an option.  Copies are looked for in the module directories up from
+ * basedir, the extra paths and the module directories of the roots (from the 'roots' setting), along with copies
+ * nested in the module directories of the packages found there.  The copy's "exports" are used if it has any.
+ *
+ * @public
+ * @throws {VersionNotFoundError}                 When no installed copy satisfies the range.
+ * @param {string} moduleId                       The module id.
+ * @param {string} basedir                        The directory it is required from.
+ * @param {Object} [options]
+ * @param {string} [options.version]              The version range, if not in the id.
+ * @param {Array.<string>} [options.conditions=defaultConditions]   The conditions to match.
+ * @param {Array.<string>|string} [options.moduleDirectory='node_modules']    The module directory names.
+ * @param {Array.<string>} [options.paths=[]]     Extra directories to look for packages in.
+ * @param {Array.<string>} [options.roots=[]]     The roots to look in.
+ * @returns {Object|undefined}                    Object in the format {id, basedir, version}, with the path in the
+ *                                                chosen copy and its directory; or undefined if there is no range.
+ */
+function mapVersion(moduleId, basedir, options={}) {
+  const parsed = _parseVersioned(moduleId, basedir, options);
+  if (!parsed) return;
+  const copies = _findCopies(parsed.name, parsed.dirs, options.moduleDirectory || 'node_modules');
+  return _pickCopy(moduleId, basedir, parsed, copies, options.conditions || defaultConditions);
+}
+
+/**
+ * Map a bare module id to the highest installed copy of its package satisfying a version range, looking for the
+ * copies asynchronously (see mapVersion()).
+ *
+ * @public
+ * @param {string} moduleId                       The module id.
+ * @param {string} basedir                        The directory it is required from.
+ * @param {Object} [options]                      The options (see mapVersion()).
+ * @returns {Promise.<Object|undefined>}          Object in the format {id, basedir, version} or undefined if there
+ *                                                is no range.
+ */
+async function mapVersionAsync(moduleId, basedir, options={}) {
+  const parsed = _parseVersioned(moduleId, basedir, options);
+  if (!parsed) return;
+  const copies = await _findCopiesAsync(parsed.name, parsed.dirs, options.moduleDirectory || 'node_modules');
+  return _pickCopy(moduleId, basedir, parsed, copies, options.conditions || defaultConditions);
+}
+
+module.exports = {
+  matchPattern, resolveTarget, resolveAliases, mapAlias, mapImport, mapExport, mapVersion, mapVersionAsync, parsePackageId, parseVersionId,
+  EMPTY_MODULE, defaultConditions
+};
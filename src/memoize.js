@@ -20,8 +20,8 @@ function _memoize(memoized, cache=new Map()) {
 }
 
 function getFromCache(lookupId, cache, cacheParams=1) {
-  if (cache.has(lookupId)) {
-    const lookupId1 = ((cacheParams=1)?lookupId:lookupId[0]);
+  const lookupId1 = ((cacheParams === 1)?lookupId:lookupId[0]);
+  if (cache.has(lookupId1)) {
     const cache1 = cache.get(lookupId1);
     if (cacheParams === 1) return cache1;
     if (('has' in cache1) && (cache1.has(lookupId[1]))) {
@@ -47,6 +47,7 @@ function parseOptions(options={}) {
     cache=new Map(),
     noCache=()=>false,
     cacheParams=1,
+    cacheErrors=true,
     type='function'
     } = (isFunction(options) ? {resolver:options} : options);
 
@@ -58,6 +59,7 @@ function parseOptions(options={}) {
     cache,
     noCache,
     cacheParams,
+    cacheErrors,
     type
   };
 }
@@ -70,7 +72,7 @@ function memoize(fn, options) {
   if (_options.type === 'node-callback') return __memoizeNode(fn, _options)
 }
 
-function __memoize(fn, {resolver, cache, noCache, cacheParams}) {
+function __memoize(fn, {resolver, cache, noCache, cacheParams, cacheErrors}) {
   function memoized(...params) {
     const fnOptions = params[params.length-1];
     if (!!fnOptions && isObject(fnOptions) && !!fnOptions.noCache) {
@@ -93,14 +95,14 @@ function __memoize(fn, {resolver, cache, noCache, cacheParams}) {
       setCache(lookupId, [null, result], memoized.cache, cacheParams);
       return result;
     } catch (err) {
-      setCache(lookupId, [err, undefined], memoized.cache, cacheParams);
+      if (cacheErrors) setCache(lookupId, [err, undefined], memoized.cache, cacheParams);
       throw err;
     }
   }
   return _memoize(memoized, cache);
 }
 
-function __memoizeNode(fn, {resolver, cache, noCache, cacheParams}) {
+function __memoizeNode(fn, {resolver, cache, noCache, cacheParams, cacheErrors}) {
   function memoized(...params) {
     const cb = params.pop();
     const fnOptions = params[params.length-1];
@@ -115,14 +117,14 @@ function __memoizeNode(fn, {resolver, cache, noCache, cacheParams}) {
     const saved = getFromCache(lookupId, memoized.cache, cacheParams);
     if (saved !== FAIL) return cb(...saved);
     return fn(...params, (...result)=>{
-      setCache(lookupId, result, memoized.cache, cacheParams);
+      if (!result[0] || cacheErrors) setCache(lookupId, result, memoized.cache, cacheParams);
       return cb(...result);
     });
   }
   return _memoize(memoized, cache);
 }
 
-function __memoizePromise(fn, {resolver, cache, noCache, cacheParams}) {
+function __memoizePromise(fn, {resolver, cache, noCache, cacheParams, cacheErrors}) {
   function memoized(...params) {
     const fnOptions = params[params.length-1];
     if (!!fnOptions && isObject(fnOptions) && !!fnOptions.noCache) {
@@ -144,7 +146,7 @@ function __memoizePromise(fn, {resolver, cache, noCache, cacheParams}) {
       setCache(lookupId, [null, ...data], memoized.cache, cacheParams);
       return ((data.length > 1) ? data : data[0]);
     }, err=>{
-      setCache(lookupId, [err], memoized.cache, cacheParams);
+      if (cacheErrors) setCache(lookupId, [err], memoized.cache, cacheParams);
       return Promise.reject(err);
     });
   }
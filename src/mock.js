@@ -0,0 +1,239 @@
+'use strict';
+
+const path = require('path');
+const settings = require('./settings');
+const cache = require('./cache');
+const graph = require('./graph');
+const {isFunction, isString, isObject, getExternalCallingDir} = require('./util');
+const {fileCache, esmCache} = require('./stores');
+
+/**
+ * Get the key a module id is mocked against.  This is the resolved path where possible (so any request for the
+ * same file is caught), the core module name for core modules, otherwise the id itself (relative ids being made
+ * absolute).
+ *
+ * @private
+ * @param {string} id                 The module id.
+ * @param {Resolver} resolver         The resolver to use.
+ * @param {string} [basedir]          The directory to resolve from.
+ * @returns {string}                  The key.
+ */
+function _getKey(id, resolver, basedir) {
+  const _id = id.replace(/^node:/, '');
+  if (resolver.isCoreModule(_id)) return _id;
+  try {
+    return resolver.resolveSync(id, basedir);
+  } catch(err) {
+    return _getUnresolvedKey(id, basedir);
+  }
+}
+
+/**
+ * Get the key for a module id that does not resolve.
+ *
+ * @private
+ * @param {string} id             The module id.
+ * @param {string} [basedir]      The directory it was requested from.
+ * @returns {string}
+ */
+function _getUnresolvedKey(id, basedir) {
+  return ((/^\.{1,2}[\\\/]/.test(id) && basedir) ? path.resolve(basedir, id) : id);
+}
+
+/**
+ * Remove the modules depending on the given one from the module cache and file cache, so they are loaded again
+ * with (or without) the mock.
+ *
+ * @private
+ * @param {string} key      The mocked module.
+ */
+function _evictDependents(key) {
+  graph.dependents(key).forEach(filename=>{
+    cache.delete(filename);
+    esmCache.delete(filename);
+    fileCache.delete(filename);
+  });
+}
+
+/**
+ * A mocked module.
+ *
+ * @class
+ */
+class Mock {
+  /**
+   * @param {Object} options
+   * @param {string} options.id                   The id mocked.
+   * @param {string} options.key                  The resolved path (or id) the mock is stored against.
+   * @param {*} options.exports                   The mock exports or factory.
+   * @param {boolean} [options.factory]           Is exports a factory?
+   * @param {boolean} [options.partial=false]     Merge the exports over the real ones?
+   * @param {*} [options.scope]                   The scope, a name or a promise.
+   */
+  constructor({id, key, exports, factory=isFunction(exports), partial=false, scope}) {
+    this.id = id;
+    this.key = key;
+    this.scope = scope;
+    this.calls = [];
+    this.wasCached = cache.has(key);
+    this._exports = exports;
+    this._factory = factory;
+    this._partial = partial;
+    this._created = false;
+  }
+
+  /**
+   * Get the exports for this mock, calling the factory on first use.  Factories receive a function to load the real
+   * exports.
+   *
+   * @param {Function} loadActual     Load the real module exports.
+   * @returns {*}                     The exports.
+   */
+  getExports(loadActual) {
+    if (!this._created) {
+      const exports = (this._factory ? this._exports(loadActual) : this._exports);
+      this.exports = ((this._partial && isObject(exports)) ? Object.assign({}, loadActual(), exports) : exports);
+      this._created = true;
+    }
+    return this.exports;
+  }
+}
+
+/**
+ * Registry of mocked modules.
+ *
+ * @class
+ */
+class Mocks {
+  constructor() {
+    this.mocks = new Map();
+  }
+
+  /**
+   * Mock a module.  Any require of the same id (or anything resolving to the same file) gets the mock until it is
+   * unmocked.  Modules already loaded that depend on it are removed from the cache so they pick up the mock.
+   *
+   * @param {string} id                             The module id, resolved as a require from basedir would be.
+   * @param {*|Function} exportsOrFactory           The exports or a factory, receiving a function to load the real
+   *                                                exports.  Functions are treated as factories unless
+   *                                                options.factory is false.
+   * @param {Object} [options]
+   * @param {string|Promise} [options.scope]        Scope name or a promise, the mock is removed when it settles.
+   * @param {boolean} [options.partial=false]       Copy the mock exports over the real ones.
+   * @param {boolean} [options.factory]             Is exportsOrFactory a factory?
+   * @param {string} [options.basedir]              Directory to resolve from (defaults to the calling file's).
+   * @param {Resolver} [options.resolver]           Resolver to use.
+   * @returns {Mock}                                The mock.
+   */
+  mock(id, exportsOrFactory, {scope, partial, factory, basedir, resolver=settings.get('resolver')}={}) {
+    if (!isString(id)) throw new TypeError('Module id to mock must be a string');
+    const key = _getKey(id, resolver, basedir || getExternalCallingDir());
+    if (this.mocks.has(key)) this._remove(this.mocks.get(key));
+
+    const mock = new Mock({id, key, exports:exportsOrFactory, factory, partial, scope});
+    this.mocks.set(key, mock);
+    _evictDependents(key);
+    if (scope && isFunction(scope.then)) {
+      const end = ()=>{if (this.mocks.get(key) === mock) this._remove(mock);};
+      scope.then(end, end);
+    }
+    return mock;
+  }
+
+  /**
+   * Remove mocks.
+   *
+   * @param {string|Mock|Object} [target]     A module id, a Mock or an object in the format {scope}.  Removes all
+   *                                          mocks if not given.
+   * @param {Object} [options]                Options (basedir & resolver) for resolving an id.
+   * @returns {number}                        The number of mocks removed.
+   */
+  unmock(target, {basedir, resolver=settings.get('resolver')}={}) {
+    let remove = [...this.mocks.values()];
+    if (target instanceof Mock) {
+      remove = remove.filter(mock=>(mock === target));
+    } else if (isString(target)) {
+      const key = _getKey(target, resolver, basedir || getExternalCallingDir());
+      remove = remove.filter(mock=>(mock.key === key));
+    } else if (target && ('scope' in target)) {
+      remove = remove.filter(mock=>(mock.scope === target.scope));
+    }
+
+    remove.forEach(mock=>this._remove(mock));
+    return remove.length;
+  }
+
+  /**
+   * Remove a mock, clearing anything loaded while it was in place.
+   *
+   * @private
+   * @param {Mock} mock     The mock to remove.
+   */
+  _remove(mock) {
+    this.mocks.delete(mock.key);
+    _evictDependents(mock.key);
+    if (!mock.wasCached) {
+      cache.delete(mock.key);
+      fileCache.delete(mock.key);
+    }
+  }
+
+  /**
+   * Is the given resolved path (or id) mocked?
+   *
+   * @param {string} key
+   * @returns {boolean}
+   */
+  has(key) {
+    return this.mocks.has(key);
+  }
+
+  /**
+   * Get the mock for a resolved path (or id).
+   *
+   * @param {string} key
+   * @returns {Mock|undefined}
+   */
+  get(key) {
+    return this.mocks.get(key);
+  }
+
+  /**
+   * Get the mock key for an id that failed to resolve, if it is mocked.
+   *
+   * @param {string} id             The module id.
+   * @param {string} [basedir]      The directory it was resolved from.
+   * @returns {string|undefined}    The key.
+   */
+  match(id, basedir) {
+    if (!this.mocks.size) return;
+    const key = _getUnresolvedKey(id, basedir);
+    if (this.mocks.has(key)) return key;
+  }
+
+  /**
+   * Require a mocked module, recording the call.
+   *
+   * @param {string} key                  The resolved path (or id).
+   * @param {Object} call                 Details of the call in the format {parent, request, sync}.
+   * @param {Function} loadActual         Load the real module exports.
+   * @returns {*}                         The mock exports.
+   */
+  require(key, call, loadActual) {
+    const mock = this.mocks.get(key);
+    mock.calls.push(call);
+    return mock.getExports(loadActual);
+  }
+
+  /**
+   * The number of mocks.
+   *
+   * @returns {number}
+   */
+  get size() {
+    return this.mocks.size;
+  }
+}
+
+module.exports = new Mocks();
+module.exports.Mock = Mock;
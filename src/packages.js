@@ -0,0 +1,68 @@
+'use strict';
+
+const path = require('path');
+const {isFileSync, readFileSync} = require('./fs');
+const {fileCache, packageCache} = require('./stores');
+const {makeArray} = require('./util');
+
+/**
+ * Get the nearest package.json to the given directory, walking up the tree.  Results are cached against the directory
+ * searched from.
+ *
+ * @public
+ * @param {string} dir                    Directory to start searching from.
+ * @returns {Object|undefined}            Package definition as {dir, filename, data} or undefined if none found.
+ */
+function getPackageScope(dir) {
+  if (packageCache.has(dir)) return packageCache.get(dir);
+
+  const filename = path.join(dir, 'package.json');
+  let scope;
+  if ((path.basename(dir) !== 'node_modules') && isFileSync(filename)) {
+    try {
+      scope = {dir, filename, data:JSON.parse(readFileSync(filename, fileCache).toString())};
+    } catch(err) {
+      scope = {dir, filename, data:{}};
+    }
+  } else {
+    const parent = path.dirname(dir);
+    if (parent !== dir) scope = getPackageScope(parent);
+  }
+
+  packageCache.set(dir, scope);
+  return scope;
+}
+
+/**
+ * Get the package type ("module" or "commonjs") for the given file.
+ *
+ * @public
+ * @param {string} filename     File to get type for.
+ * @returns {string}            The package type.
+ */
+function getPackageType(filename) {
+  const scope = getPackageScope(path.dirname(filename));
+  return ((scope && (scope.data.type === 'module')) ? 'module' : 'commonjs');
+}
+
+/**
+ * Get the module directories searched for packages from a directory, nearest first.
+ *
+ * @public
+ * @param {string} dir                                    Directory to start from.
+ * @param {Array.<string>|string} [moduleDirectory]         The module directory names (default 'node_modules').
+ * @returns {Array.<string>}                                The module directories.
+ */
+function getModuleDirectories(dir, moduleDirectory='node_modules') {
+  const dirs = [];
+  for (let _dir=path.resolve(dir); ; _dir=path.dirname(_dir)) {
+    makeArray(moduleDirectory).forEach(moduleDirectory=>{
+      if (path.basename(_dir) !== moduleDirectory) dirs.push(path.join(_dir, moduleDirectory));
+    });
+    if (path.dirname(_dir) === _dir) return dirs;
+  }
+}
+
+module.exports = {
+  getPackageScope, getPackageType, getModuleDirectories
+};
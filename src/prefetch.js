@@ -0,0 +1,138 @@
+'use strict';
+
+const path = require('path');
+const settings = require('./settings');
+const cache = require('./cache');
+const graph = require('./graph');
+const protocols = require('./protocols');
+const {fileCache} = require('./stores');
+
+const prefetched = new Set();
+const misses = [];
+
+/**
+ * Is prefetching turned on for the given resolver (or globally)?
+ *
+ * @public
+ * @param {Resolver|Object} [userResolver]      The resolver to check.
+ * @returns {boolean}
+ */
+function usePrefetch(userResolver={}) {
+  if (userResolver.prefetch !== undefined) return !!userResolver.prefetch;
+  return !!settings.get('prefetch');
+}
+
+/**
+ * Can the given file have dependencies we can detect?
+ *
+ * @private
+ * @param {string} filename     The file to test.
+ * @returns {boolean}
+ */
+function _isScript(filename) {
+  return (['.js', '.mjs'].indexOf(path.extname(filename)) !== -1);
+}
+
+/**
+ * Resolve and read a single dependency, then its dependencies.
+ *
+ * @private
+ * @param {string} moduleId           The dependency id.
+ * @param {string} filename           The file requiring it.
+ * @param {Resolver} userResolver     Resolver to use.
+ * @param {Object} loaders            Load functions from the require module.
+ * @param {Set} seen                  Files already walked.
+ * @returns {Promise}
+ */
+async function _prefetchDependency(moduleId, filename, userResolver, loaders, seen) {
+  if (userResolver.isCoreModule(moduleId)) return;
+  let modulePath;
+  try {
+    modulePath = await userResolver.resolve(moduleId, protocols.dirname(filename));
+  } catch(err) {
+    return; // Missing modules are reported when the require actually happens.
+  }
+
+  graph.addEdge(filename, modulePath, {request:moduleId, type:'prefetch'});
+  if (seen.has(modulePath) || cache.has(modulePath)) return;
+  seen.add(modulePath);
+
+  const content = await loaders.loadText(modulePath, filename);
+  if (_isScript(modulePath)) return _prefetchTree(content, modulePath, userResolver, loaders, seen);
+  prefetched.add(modulePath);
+}
+
+/**
+ * Walk the static dependencies of the given content, resolving and reading them all.
+ *
+ * @private
+ * @param {string|Buffer} content     The module content.
+ * @param {string} filename           The module filename.
+ * @param {Resolver} userResolver     Resolver to use.
+ * @param {Object} loaders            Load functions from the require module.
+ * @param {Set} seen                  Files already walked.
+ * @returns {Promise}
+ */
+async function _prefetchTree(content, filename, userResolver, loaders, seen) {
+  let found = [];
+  try {
+    found = loaders.detect(content.toString());
+  } catch(err) {}
+
+  await Promise.all(found.map(moduleId=>_prefetchDependency(moduleId, filename, userResolver, loaders, seen)));
+  prefetched.add(filename);
+}
+
+/**
+ * Resolve and read the full static dependency tree of a module, so that its synchronous requires can be served from
+ * memory.  Reads go through the file queue so the 'load-simultaneously' setting is respected.
+ *
+ * @public
+ * @param {Object} config                   The module config.
+ * @param {Object} loaders                  Load functions from the require module.
+ * @param {Function} loaders.loadText       Load text from a file (with events).
+ * @param {Function} loaders.detect         Find the dependencies in some source.
+ * @returns {Promise}
+ */
+function prefetch(config, loaders) {
+  return _prefetchTree(config.content, config.filename, config.resolver, loaders, new Set([config.filename]));
+}
+
+/**
+ * Record a synchronous require that could not be served from memory, if it came from a prefetched module.
+ *
+ * @public
+ * @param {string} target       The file being required.
+ * @param {string} source       The file requiring it.
+ * @param {string} request      The id passed to require.
+ */
+function recordMiss(target, source, request) {
+  if (!prefetched.has(source) || cache.has(target) || (fileCache.has(target) && (fileCache.get(target) !== true))) {
+    return;
+  }
+  misses.push({target, source, request});
+}
+
+/**
+ * Report on prefetching, listing files prefetched and requires that missed the prefetch (usually dynamic requires).
+ *
+ * @public
+ * @returns {Object}    Report in the format {prefetched, misses}.
+ */
+function report() {
+  return {prefetched:[...prefetched], misses:misses.map(miss=>Object.assign({}, miss))};
+}
+
+/**
+ * Clear the report.
+ *
+ * @public
+ */
+function clear() {
+  prefetched.clear();
+  misses.length = 0;
+}
+
+module.exports = {
+  prefetch, usePrefetch, recordMiss, report, clear
+};
@@ -0,0 +1,249 @@
+'use strict';
+
+const path = require('path');
+const url = require('url');
+const {isFunction, isString} = require('./util');
+
+const schemeRx = /^([a-zA-Z][a-zA-Z\d+.-]+):/; // At least two characters, so Windows drive letters are not schemes.
+
+const mimeExtensions = {
+  'text/javascript': '.js',
+  'application/javascript': '.js',
+  'application/json': '.json',
+  'text/json': '.json',
+  'application/json5': '.json5',
+  'application/yaml': '.yaml',
+  'application/x-yaml': '.yaml',
+  'text/yaml': '.yaml',
+  'application/toml': '.toml'
+};
+
+/**
+ * A registered protocol handler.
+ *
+ * @class
+ */
+class Protocol {
+  /**
+   * @param {Object} definition                   The protocol definition.
+   * @param {string} definition.scheme            The scheme (eg. 'app' for ids like app:routes/users).
+   * @param {Function} [definition.resolve]       Resolve function, receives (id, {basedir}) and returns the resolved
+   *                                              id (or a promise for it).  Relative ids from modules loaded through
+   *                                              this scheme are passed here too.  Without a read function the
+   *                                              result is resolved again as a normal module id or path.
+   * @param {Function} [definition.read]          Read function, receives the resolved id and returns the content
+   *                                              (or a promise for it).
+   * @param {Function} [definition.list]          List function for requireX.import(), receives the directory id and
+   *                                              returns the names in it (or a promise for them).
+   * @param {Function} [definition.extension]     Get the extension to pick a loader with, receives the resolved id.
+   *                                              Defaults to the extension of the id.
+   */
+  constructor({scheme, resolve, read, list, extension}) {
+    if (!isString(scheme) || !schemeRx.test(`${scheme.replace(/:$/, '')}:`)) {
+      throw new TypeError(`Invalid protocol scheme: ${scheme}`);
+    }
+    [resolve, read, list, extension].forEach(method=>{
+      if ((method !== undefined) && !isFunction(method)) throw new TypeError(`Protocol ${scheme} has a method that is not a function`);
+    });
+
+    this.scheme = scheme.replace(/:$/, '').toLowerCase();
+    this.resolve = resolve;
+    this.read = read;
+    this.list = list;
+    this.extension = extension;
+  }
+}
+
+/**
+ * Run a protocol method, checking the result is not a promise when sync.
+ *
+ * @private
+ * @param {Protocol} protocol         The protocol.
+ * @param {string} method             The method name.
+ * @param {Array} params              Parameters to pass.
+ * @param {boolean} sync              Must this be synchronous?
+ * @returns {*}
+ */
+function _run(protocol, method, params, sync) {
+  const result = protocol[method](...params);
+  if (sync && result && isFunction(result.then)) {
+    throw new Error(`Cannot ${method} ${params[0]} synchronously, the ${protocol.scheme}: protocol is asynchronous.`);
+  }
+  return result;
+}
+
+/**
+ * Registry of protocol handlers for module ids with a URL scheme.
+ *
+ * @class
+ */
+class Protocols {
+  constructor() {
+    this.protocols = new Map();
+  }
+
+  /**
+   * Register a protocol handler, replacing any for the same scheme.
+   *
+   * @param {Object} definition     The protocol definition (see Protocol).
+   * @returns {Protocol}            The new protocol.
+   */
+  register(definition) {
+    const protocol = new Protocol(definition);
+    if (protocol.scheme === 'node') throw new TypeError('The node: scheme is reserved for core modules');
+    this.protocols.set(protocol.scheme, protocol);
+    return protocol;
+  }
+
+  /**
+   * Remove a protocol handler.
+   *
+   * @param {string|Protocol} scheme    The protocol (or its scheme) to remove.
+   * @returns {boolean}                 Was it removed?
+   */
+  unregister(scheme) {
+    return this.protocols.delete(isString(scheme) ? scheme.replace(/:$/, '').toLowerCase() : scheme.scheme);
+  }
+
+  /**
+   * Is there a handler for the given scheme?
+   *
+   * @param {string} scheme     The scheme.
+   * @returns {boolean}
+   */
+  has(scheme) {
+    return this.protocols.has(scheme.replace(/:$/, '').toLowerCase());
+  }
+
+  /**
+   * Get the handler for a scheme.
+   *
+   * @param {string} scheme           The scheme.
+   * @returns {Protocol|undefined}
+   */
+  get(scheme) {
+    return this.protocols.get(scheme.replace(/:$/, '').toLowerCase());
+  }
+
+  /**
+   * Get the handler for a module id, if it has a registered scheme.
+   *
+   * @param {string} id               The module id (or directory).
+   * @returns {Protocol|undefined}
+   */
+  find(id) {
+    if (!isString(id)) return;
+    const match = schemeRx.exec(id);
+    if (match) return this.get(match[1]);
+  }
+
+  /**
+   * Get the directory id of a module id, as path.dirname() does but giving the scheme (eg. app:) for ids at the top
+   * level of a protocol (eg. app:main.js), so relative requires from them still go through the protocol.
+   *
+   * @param {string} id       The module id (or path).
+   * @returns {string}        The directory id (or directory).
+   */
+  dirname(id) {
+    const dir = path.dirname(id);
+    if (!this.find(id) || this.find(dir)) return dir;
+    return `${schemeRx.exec(id)[1]}:`;
+  }
+
+  /**
+   * Resolve an id through its protocol.
+   *
+   * @param {Protocol} protocol           The protocol.
+   * @param {string} id                   The module id.
+   * @param {string} [basedir]            The directory (or directory id) it is required from.
+   * @param {boolean} [sync=false]        Resolve synchronously?
+   * @returns {Promise.<string>|string}   The resolved id.
+   */
+  resolve(protocol, id, basedir, sync=false) {
+    if (!protocol.resolve) return (sync ? id : Promise.resolve(id));
+    const resolved = _run(protocol, 'resolve', [id, {basedir}], sync);
+    return (sync ? resolved : Promise.resolve(resolved));
+  }
+
+  /**
+   * Read a module through its protocol.
+   *
+   * @param {string} id                   The resolved module id.
+   * @param {boolean} [sync=false]        Read synchronously?
+   * @returns {Promise.<Buffer>|Buffer}   The content.
+   */
+  read(id, sync=false) {
+    const protocol = this.find(id);
+    if (!protocol || !protocol.read) {
+      const error = new Error(`No protocol handler can read ${id}`);
+      if (sync) throw error;
+      return Promise.reject(error);
+    }
+    const toBuffer = content=>(Buffer.isBuffer(content) ? content : Buffer.from(String(content)));
+    if (sync) return toBuffer(_run(protocol, 'read', [id], true));
+    return Promise.resolve().then(()=>protocol.read(id)).then(toBuffer);
+  }
+
+  /**
+   * List a directory through its protocol.
+   *
+   * @param {string} id                     The directory id.
+   * @returns {Promise.<Array.<string>>}    The names in it.
+   */
+  list(id) {
+    const protocol = this.find(id);
+    if (!protocol || !protocol.list) return Promise.reject(new Error(`No protocol handler can list ${id}`));
+    return Promise.resolve().then(()=>protocol.list(id));
+  }
+
+  /**
+   * Get the name to pick a loader with for a module id.  For ids with a protocol this is the id with the extension
+   * from the protocol's extension function; other ids are returned as they are.
+   *
+   * @param {string} id       The module id.
+   * @returns {string}
+   */
+  getLoaderName(id) {
+    const protocol = this.find(id);
+    if (!protocol || !protocol.extension) return id;
+    const extension = protocol.extension(id) || '';
+    return ((path.extname(id) === extension) ? id : `${id}${extension}`);
+  }
+}
+
+/**
+ * Parse a data: URL.
+ *
+ * @private
+ * @param {string} id         The URL.
+ * @returns {Object}          Object in the format {mime, base64, data}.
+ */
+function _parseDataUrl(id) {
+  const comma = id.indexOf(',');
+  if (comma === -1) throw new SyntaxError(`Invalid data URL: ${id.substring(0, 50)}`);
+  const header = id.substring(5, comma).split(';');
+  return {
+    mime: (header[0] || 'text/plain').toLowerCase(),
+    base64: (header[header.length-1].toLowerCase() === 'base64'),
+    data: id.substring(comma+1)
+  };
+}
+
+const protocols = new Protocols();
+
+protocols.register({
+  scheme: 'file',
+  resolve: id=>url.fileURLToPath(id)
+});
+
+protocols.register({
+  scheme: 'data',
+  read: id=>{
+    const {base64, data} = _parseDataUrl(id);
+    return (base64 ? Buffer.from(data, 'base64') : Buffer.from(decodeURIComponent(data)));
+  },
+  extension: id=>(mimeExtensions[_parseDataUrl(id).mime] || '.js')
+});
+
+module.exports = protocols;
+module.exports.Protocol = Protocol;
@@ -0,0 +1,122 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const Node_Module = require('module');
+
+const sources = new Map();
+const createRequire = Node_Module.createRequire || Node_Module.createRequireFromPath;
+
+/**
+ * Is the given file one of our own source files?  These get a fresh copy for every registry, everything else
+ * (third-party packages, core modules) is shared.
+ *
+ * @private
+ * @param {string} filename     The resolved file.
+ * @returns {boolean}
+ */
+function _isOwnSource(filename) {
+  return ((path.dirname(filename) === __dirname) && (path.extname(filename) === '.js'));
+}
+
+/**
+ * Get the source of one of our files, reading it once for all registries.
+ *
+ * @private
+ * @param {string} filename     The file.
+ * @returns {string}            The source.
+ */
+function _getSource(filename) {
+  if (!sources.has(filename)) sources.set(filename, fs.readFileSync(filename, 'utf-8'));
+  return sources.get(filename);
+}
+
+/**
+ * Create a loader for a private copy of our source files.  Each file is run with its own require, which loads our
+ * files from the private copy, and __require, which util.getRequire() picks up, so the private module cache is used
+ * instead of require.cache.
+ *
+ * @private
+ * @param {Object} moduleCache      The private module cache.
+ * @returns {Object}                The loader in the format {load, modules}.
+ */
+function _createLoader(moduleCache) {
+  const modules = new Map();
+
+  const load = (filename, parent)=>{
+    if (modules.has(filename)) return modules.get(filename).exports;
+
+    const module = new Node_Module(filename, parent);
+    module.filename = filename;
+    module.paths = Node_Module._nodeModulePaths(path.dirname(filename));
+    modules.set(filename, module);
+
+    const hostRequire = createRequire(filename);
+    const _require = Object.assign(request=>{
+      const resolved = hostRequire.resolve(request);
+      return (_isOwnSource(resolved) ? load(resolved, module) : hostRequire(request));
+    }, {resolve:hostRequire.resolve, cache:moduleCache});
+    module.require = _require;
+
+    const wrapper = vm.runInThisContext(
+      `(function (exports, require, module, __filename, __dirname, __require) {${_getSource(filename)}\n});`,
+      {filename}
+    );
+
+    try {
+      wrapper.call(module.exports, module.exports, _require, module, filename, path.dirname(filename), _require);
+    } catch(error) {
+      modules.delete(filename);
+      throw error;
+    }
+    module.loaded = true;
+    return module.exports;
+  };
+
+  return {load, modules};
+}
+
+/**
+ * Create a separate requireX with its own module cache, file stores and settings.  Modules loaded through it are not
+ * shared with the global require.cache or with other registries.  Call dispose() on the returned function to stop
+ * watchers, remove mocks and virtual modules and clear everything it loaded.
+ *
+ * @public
+ * @param {Object} [options={}]     Settings for the new registry.  The 'parent' setting is copied from the current
+ *                                  one unless given.
+ * @returns {Function}              The new requireX function.
+ */
+function createRegistry(options={}) {
+  const moduleCache = Object.create(null);
+  const {load, modules} = _createLoader(moduleCache);
+  const own = filename=>load(path.join(__dirname, filename));
+
+  const requireX = own('index.js');
+  const settings = require('./settings');
+  if (settings.has('parent')) requireX.set('parent', settings.get('parent'));
+  requireX.set(options);
+
+  requireX.dispose = ()=>{
+    if (requireX.get('hot')) own('watch.js').watch().close();
+    own('mock.js').unmock();
+    own('virtual.js').clear();
+    own('graph.js').clear();
+    own('sourceMaps.js').uninstall();
+    own('sourceMaps.js').clear();
+    requireX.clearAllCache();
+    requireX.removeAllListeners();
+    Object.keys(moduleCache).forEach(filename=>{
+      const children = (moduleCache[filename].parent || {}).children || [];
+      if (children.includes(moduleCache[filename])) children.splice(children.indexOf(moduleCache[filename]), 1);
+      delete moduleCache[filename];
+    });
+    modules.clear();
+  };
+
+  return requireX;
+}
+
+module.exports = {
+  createRegistry
+};
@@ -2,43 +2,104 @@
 
 const settings = require('./settings');
 const _eval = require('./eval');
+const esm = require('./esm');
+const {prefetch, usePrefetch, recordMiss} = require('./prefetch');
+const detect = require('./detect');
 const requireLike = require('require-like');
 const Resolver = require('./resolver');
 const cache = require('./cache');
 const Module = require('./Module');
+const graph = require('./graph');
+const loaders = require('./loaders');
+const transforms = require('./transforms');
+const mocks = require('./mock');
+const cycles = require('./cycles');
+const {createAbort, abortable, throwIfAborted} = require('./abort');
+const integrity = require('./integrity');
+const virtual = require('./virtual');
+const protocols = require('./protocols');
+const {notFoundError} = require('./suggest');
 const path = require('path');
 const toNamespacedPath = path.toNamespacedPath ? path.toNamespacedPath : path=>path;
-const {isString, isFunction, readFile, readFileSync, getCallingDir, promisify, getRequire} = require('./util');
+const {isString, isFunction, readFile, readFileSync, getCallingDir, promisify, getRequire, uniq} = require('./util');
 const emitter = require('./events');
 const {fileCache, filePaths} = require('./stores');
 
-const _xRequireExtract = /\brequire\s*?\(\s*?[\"\'](.*?)[\"\']\*?\)/g;
-
 
 settings.set('load-simultaneously', 1000);
 
-settings.set('.js', function(config) {
-  _cacher(config.content, config.filename, config.basedir, config.resolver);
-  const module = _eval(config);
-  module.loaded = true;
-  return module;
+loaders.register({
+  name: 'js',
+  extensions: ['.js'],
+  load(content, config) {
+    return _transform(config, ()=>{
+      if (esm.isModule(config.filename, config.content)) return esm.evaluate(config, {loadText:_loadModuleText, loadModule:_loadModuleContent});
+      if (!config.sync && usePrefetch(config.resolver)) {
+        return prefetch(config, {loadText:_loadModuleText, detect:detective}).then(()=>_evalScript(config));
+      }
+      _cacher(config.content, config.filename, config.basedir, config.resolver);
+      return _evalScript(config);
+    });
+  }
 });
 
-settings.set('.node', function(config) {
-  const module = new Module(config);
-  process.dlopen(module, toNamespacedPath(config.filename));
-  module.loaded = true;
-  return module;
+loaders.register({
+  name: 'mjs',
+  extensions: ['.mjs'],
+  load(content, config) {
+    return _transform(config, ()=>esm.evaluate(config, {loadText:_loadModuleText, loadModule:_loadModuleContent}));
+  }
 });
 
-settings.set('.json', function(config) {
-  const module = new Module(config);
-  if (Buffer.isBuffer(config.content)) config.content = config.content.toString();
-  module.exports = JSON.parse(config.content);
-  module.loaded = true;
-  return module;
+loaders.register({
+  name: 'node',
+  extensions: ['.node'],
+  load(content, config) {
+    const module = new Module(config);
+    process.dlopen(module, toNamespacedPath(config.filename));
+    module.loaded = true;
+    return module;
+  }
 });
 
+require('./dataLoaders');
+
+
+/**
+ * Run the transform chain on a module config, updating its content and source map before calling next.
+ *
+ * @private
+ * @param {Object} config                 The module config.
+ * @param {Function} next                 Function to call once transformed.
+ * @returns {Module|Promise.<Module>}     The results of next().
+ */
+function _transform(config, next) {
+  const result = transforms.apply(config);
+  if (!result) return next();
+
+  const transformed = ({code, map})=>{
+    config.content = code;
+    config.sourceMap = map;
+    return next();
+  };
+
+  if (!isFunction(result.then)) return transformed(result);
+  if (config.sync) throw new Error(`Cannot load ${config.filename} synchronously, it uses an asynchronous transform.`);
+  return result.then(transformed);
+}
+
+/**
+ * Evaluate a script file, returning the loaded module.
+ *
+ * @private
+ * @param {Object} config     The module config.
+ * @returns {Module}          The module.
+ */
+function _evalScript(config) {
+  const module = _eval(config);
+  module.loaded = true;
+  return module;
+}
 
 /**
  * Get the resolver object from a given object.  Assumes it has received
@@ -67,6 +128,7 @@ function _getResolve(obj) {
  * @returns {string}      The directory path.
  */
 function _getRoot(obj) {
+  if (obj && protocols.find(obj.basedir)) return obj.basedir;
   return (getCallingDir(((obj && obj.basedir) ? obj.basedir : undefined)) || (obj?obj.basedir:undefined));
 }
 
@@ -80,8 +142,25 @@ function _getRoot(obj) {
  */
 function resolveModulePath(userResolver, moduleName) {
   [moduleName, userResolver] = [moduleName || userResolver, userResolver || settings.get('resolver')];
+  return createAbort(userResolver).wrap(_resolveModulePath(userResolver, moduleName));
+}
+
+/**
+ * Resolve a module path, falling back to any mock for ids that do not resolve.
+ *
+ * @private
+ * @param {Object} userResolver           User-created resolver function.
+ * @param {string} moduleName             Module name or path.
+ * @returns {Promise.<string>}
+ */
+function _resolveModulePath(userResolver, moduleName) {
   let dir = _getRoot(userResolver);
-  return _getResolve(userResolver).resolve(moduleName, dir);
+  const resolver = _getResolve(userResolver);
+  return resolver.resolve(moduleName, dir).then(undefined, error=>{
+    const mocked = mocks.match(moduleName, dir);
+    if (mocked) return mocked;
+    throw notFoundError(error, resolver, moduleName, dir);
+  });
 }
 
 /**
@@ -95,7 +174,25 @@ function resolveModulePath(userResolver, moduleName) {
 function resolveModulePathSync(userResolver, moduleName) {
   [moduleName, userResolver] = [moduleName || userResolver, userResolver || settings.get('resolver')];
   let dir = _getRoot(userResolver);
-  return _getResolve(userResolver).resolveSync(moduleName, dir);
+  const resolver = _getResolve(userResolver);
+  try {
+    return resolver.resolveSync(moduleName, dir);
+  } catch(error) {
+    const mocked = mocks.match(moduleName, dir);
+    if (mocked) return mocked;
+    throw notFoundError(error, resolver, moduleName, dir);
+  }
+}
+
+/**
+ * Is the given module a file on disk (rather than a virtual module or one read through a protocol)?
+ *
+ * @private
+ * @param {string} filename     The resolved module.
+ * @returns {boolean}
+ */
+function _isFile(filename) {
+  return (!virtual.has(filename) && !protocols.find(filename));
 }
 
 /**
@@ -105,15 +202,19 @@ function resolveModulePathSync(userResolver, moduleName) {
  * @param {string} target               The target to load.
  * @param {string} source               The loading source path.
  * @param {boolean} [sync=false]        Use sync method?
+ * @param {AbortSignal} [signal]        Signal to cancel a queued read with.
+ * @param {boolean} [verify=true]       Check the integrity manifest?  Prefetch reads do not, the file is checked when
+ *                                      it is actually loaded.
  * @returns {Promise.<string>|string}   The results.
  */
-function _loadModuleText(target, source, sync=false) {
+function _loadModuleText(target, source, sync=false, signal, verify=true) {
   const time = process.hrtime();
   const loadEventEvent = new emitter.Load({target, source, sync});
   const loadEvent = emitter.emit('load', loadEventEvent);
 
   const loaded = txtBuffer=>{
     try {
+      if (verify && _isFile(loadEventEvent.data.target || target)) integrity.verify(loadEventEvent.data.target || target, txtBuffer);
       const loadedEvent = emitter.emit('loaded', new emitter.Loaded({
         target,
         otherTarget: loadEventEvent.data.target,
@@ -129,15 +230,26 @@ function _loadModuleText(target, source, sync=false) {
     }
   };
 
+  let reported; // Sync errors can reach here twice, only fire the event once.
   const loadError = error=>{
+    throwIfAborted(signal);
+    if (error === reported) throw error;
+    reported = error;
     const _error = new emitter.Error({target, source, error});
     emitter.emit('error', _error);
-    if (!_error.ignore || (_error.ignore && isFunction(_error.ignore) && !_error.ignore())) throw error;
+    if (!_error.ignored()) throw error;
+  };
+
+  const read = ()=>{
+    const filename = loadEventEvent.data.target || target;
+    if (virtual.has(filename)) return (sync ? virtual.read(filename) : Promise.resolve(virtual.read(filename)));
+    if (protocols.find(filename)) return protocols.read(filename, sync);
+    return (sync ? readFileSync(filename, fileCache) : readFile(filename, fileCache, null, signal));
   };
 
-  if (!sync) return loadEvent.then(()=>readFile(loadEventEvent.data.target || target, fileCache).then(loaded, loadError), loadError);
+  if (!sync) return loadEvent.then(()=>read().then(loaded, loadError), loadError);
   try {
-    return loaded(readFileSync(loadEventEvent.data.target || target, fileCache));
+    return loaded(read());
   } catch(error) {
     loadError(error);
   }
@@ -155,14 +267,30 @@ function _loadModuleText(target, source, sync=false) {
 function _evalModuleText(filename, content, userResolver, sync=true) {
   if (content === undefined) return;
 
-  const ext = path.extname(filename);
-  const config = _createModuleConfig(filename, content, _getResolve(userResolver));
-  let module = _runEval(config, settings.get(ext) || function(){}, userResolver.options || {}, sync);
+  const config = Object.assign(_createModuleConfig(filename, content, _getResolve(userResolver)), {sync});
+  let module = _runEval(config, _getParser(filename, config), userResolver.options || {}, sync);
 
   if ((!(config.resolver || {}).squashErrors) && fileCache.has(filename)) fileCache.delete(filename);
   return module;
 }
 
+/**
+ * Get the parser for a given file.  Parsers set directly in settings against the file extension take precedence
+ * (this is the old way of adding loaders), otherwise the registered loaders are used, highest priority first.
+ *
+ * @private
+ * @param {string} filename     The file to parse.
+ * @param {Object} config       The module config.
+ * @returns {Function}          The parser.
+ */
+function _getParser(filename, config) {
+  const parser = settings.get(path.extname(filename));
+  if (isFunction(parser)) return parser;
+  const name = protocols.getLoaderName(filename);
+  if (loaders.find(name, config).length) return (config, options)=>loaders.load(name, config, options);
+  return function(){};
+}
+
 /**
  * Run the parser with the given configuration and deal with events, returning the module.
  *
@@ -184,7 +312,12 @@ function _runEval(config, parser, options, sync=true) {
   const evaluateEvent = emitter.emit('evaluate', evalEvent);
 
   function evaluated() {
-    let module = ((evalEvent.data.module) ? evalEvent.data.module : parser.bind(settings)(config, options));
+    const module = ((evalEvent.data.module) ? evalEvent.data.module : parser.bind(settings)(config, options));
+    if (!sync && module && isFunction(module.then)) return module.then(_evaluated);
+    return _evaluated(module);
+  }
+
+  function _evaluated(module) {
     if (!module || !module.loaded) return module;
     const evaluatedEvent =  emitter.emit('evaluated', new emitter.Evaluated({
       target:module.filename,
@@ -202,11 +335,18 @@ function _runEval(config, parser, options, sync=true) {
   return sync?evaluated():evaluateEvent.then(evaluated);
 }
 
+/**
+ * Get the ids of all the modules statically loaded by the given content.
+ *
+ * @private
+ * @param {string|Buffer} content     The module content.
+ * @returns {Array.<string>}          The module ids.
+ */
 function detective(content) {
-  const found = [];
-  let result;
-  while ((result = _xRequireExtract.exec(content)) !== null) found.push(result[1]);
-  return found;
+  return uniq(detect(content)
+    .filter(dependency=>(!dependency.dynamic && (dependency.kind !== 'require.resolve')))
+    .map(dependency=>dependency.id)
+  );
 }
 
 /**
@@ -223,11 +363,12 @@ function _cacher(content, filename, basedir, userResolver) {
     detective(content).map(moduleId=>{
       if (!userResolver.isCoreModule(moduleId)) {
         userResolver.resolve(moduleId, basedir).then(modulePath=>{
+          graph.addEdge(filename, modulePath, {request:moduleId, type:'prefetch'});
           if (!cache.has(modulePath) && !fileCache.has(modulePath)) {
-            _loadModuleText(modulePath, filename).then(content=> {
-              const _userResolver = new Resolver(Object.assign({}, userResolver, {basedir: path.dirname(modulePath)}));
-              return _cacher(content, modulePath, path.dirname(modulePath), _userResolver)
-            });
+            _loadModuleText(modulePath, filename, false, undefined, false).then(content=> {
+              const _userResolver = new Resolver(Object.assign({}, userResolver, {basedir: protocols.dirname(modulePath)}));
+              return _cacher(content, modulePath, protocols.dirname(modulePath), _userResolver)
+            }, err=>true);
           }
         }, err=>true);
       }
@@ -254,7 +395,7 @@ function _createModuleConfig(filename, content, userResolver) {
     syncRequire:_syncRequire(_syncRequire),
     resolveModulePath,
     resolveModulePathSync,
-    basedir: path.dirname(filename),
+    basedir: protocols.dirname(filename),
     resolver: userResolver
   }, userResolver.export);
 }
@@ -266,23 +407,63 @@ function _createModuleConfig(filename, content, userResolver) {
  * @private
  * @param {string} filename                   The path of the evaluated module.
  * @param {Resolver|Object} [userResolver]    Resolver to use, if not a resolver assume it is config for a new resolver.
+ * @param {AbortSignal} [signal]              Signal to cancel with.  Nothing is left in the cache if it aborts.
+ * @param {string|Buffer} [loaded]            Content already loaded for the module (it is read when not given).
  * @returns {Promise.<*>}                     The exports of the module
  */
-async function _loadModule(filename, userResolver) {
+async function _loadModule(filename, userResolver, signal, loaded) {
   if (!cache.has(filename)) {
-    await _evalModuleText(
-      filename,
-      await _loadModuleText(filename, userResolver.parent), userResolver, false
-    ).then(
-      module=>{
-        if (module.exports === undefined) console.log("ERROR SET!", options.filename);
-        cache.set(filename, module)
-      }
-    )
+    cycles.enter(filename, userResolver.parent);
+    try {
+      const content = ((loaded !== undefined) ?
+        loaded :
+        await abortable(_loadModuleText(filename, userResolver.parent, false, signal), signal)
+      );
+      throwIfAborted(signal);
+      await abortable(_evalModuleText(filename, content, userResolver, false).then(
+        module=>{
+          if (signal && signal.aborted) return _removeUnloaded(filename);
+          if (module.exports === undefined) console.log("ERROR SET!", options.filename);
+          cache.set(filename, module)
+        }
+      ), signal);
+    } catch(error) {
+      if (signal && signal.aborted) _removeUnloaded(filename);
+      throw error;
+    } finally {
+      cycles.exit(filename);
+    }
+  } else {
+    cycles.check(filename, userResolver.parent);
   }
   return cache.get(filename).exports;
 }
 
+/**
+ * Load a non-ES module imported by an ES module, using the content the ES loader has already read.
+ *
+ * @private
+ * @param {string} filename               The path of the module.
+ * @param {string|Buffer} [content]       The loaded content (not needed if the module is cached).
+ * @param {Object} options                Options for the module resolver.
+ * @returns {Promise.<*>}                 The exports of the module.
+ */
+function _loadModuleContent(filename, content, options) {
+  const userResolver = _getResolve(options);
+  if (mocks.has(filename)) return Promise.resolve(_requireMock(filename, userResolver, filename));
+  return _loadModule(filename, userResolver, undefined, content);
+}
+
+/**
+ * Remove a module from the cache if it has not finished loading.
+ *
+ * @private
+ * @param {string} filename     The module path.
+ */
+function _removeUnloaded(filename) {
+  if (cache.has(filename) && !cache.get(filename).loaded) cache.delete(filename);
+}
+
 /**
  * Load and evaluate a module returning undefined to promise resolve on failure.
  *
@@ -293,7 +474,14 @@ async function _loadModule(filename, userResolver) {
  */
 function _loadModuleSync(filename, userResolver) {
   if (!cache.has(filename)) {
-    cache.set(filename, _evalModuleText(filename, _loadModuleText(filename, userResolver.parent, true), userResolver));
+    cycles.enter(filename, userResolver.parent);
+    try {
+      cache.set(filename, _evalModuleText(filename, _loadModuleText(filename, userResolver.parent, true), userResolver));
+    } finally {
+      cycles.exit(filename);
+    }
+  } else {
+    cycles.check(filename, userResolver.parent);
   }
   return cache.get(filename).exports;
 }
@@ -317,6 +505,23 @@ async function _loadModuleSyncAsync(filename, userResolver) {
   return localRequire(filename);
 }
 
+/**
+ * Get the exports of a mocked module, recording the call.
+ *
+ * @private
+ * @param {string} key                  The mocked path (or id).
+ * @param {Object} userResolver         The resolver used.
+ * @param {string} moduleId             The module id requested.
+ * @param {boolean} [sync=false]        Was it a sync require?
+ * @returns {*}                         The mock exports.
+ */
+function _requireMock(key, userResolver, moduleId, sync=false) {
+  const parent = userResolver.parent;
+  return mocks.require(key, {parent:(parent || {}).filename || parent, request:moduleId, sync}, ()=>(
+    userResolver.isCoreModule(key) ? getRequire()(key) : _loadModuleSync(key, userResolver)
+  ));
+}
+
 /**
  * Load a module
  *
@@ -325,11 +530,21 @@ async function _loadModuleSyncAsync(filename, userResolver) {
  * @param {string} moduleId             Module name or path, same format as for require().
  * @param {boolean} useSyncResolve      Whether to use the native node require function (sychronous) or the require
  *                                      function from this module, which is async.
+ * @param {AbortSignal} [signal]        Signal to cancel with.
  * @returns {Promise.<*|undefined>}     The module or undefined.
  */
-async function _loader(userResolver, moduleId, useSyncResolve) {
-  const modulePath = await resolveModulePath(userResolver, moduleId);
-  return (useSyncResolve?_loadModuleSyncAsync:_loadModule)(modulePath, userResolver);
+async function _loader(userResolver, moduleId, useSyncResolve, signal) {
+  const modulePath = await abortable(_resolveModulePath(userResolver, moduleId), signal);
+  if (userResolver.isCoreModule(modulePath)) {
+    graph.addEdge(userResolver.parent, modulePath, {request:moduleId, type:'core'});
+    const coreId = modulePath.replace(/^node:/, '');
+    if (mocks.has(coreId)) return _requireMock(coreId, userResolver, moduleId);
+    return getRequire()(modulePath);
+  }
+  graph.addEdge(userResolver.parent, modulePath, {request:moduleId});
+  if (mocks.has(modulePath)) return _requireMock(modulePath, userResolver, moduleId);
+  throwIfAborted(signal);
+  return ((useSyncResolve && _isFile(modulePath))?_loadModuleSyncAsync:_loadModule)(modulePath, userResolver, signal);
 }
 
 /**
@@ -353,9 +568,10 @@ async function _requireX(userResolver, moduledId, callback, useSyncResolve=false
   userResolver.basedir = userResolver.basedir || userResolver.dir;
 
   try {
-    const modules = await (Array.isArray(moduledId) ?
-        Promise.all(moduledId.map(moduleName=>_loader(userResolver, moduleName, useSyncResolve))) :
-        _loader(userResolver, moduledId, useSyncResolve)
+    const abort = createAbort(userResolver);
+    const modules = await abort.wrap(Array.isArray(moduledId) ?
+        Promise.all(moduledId.map(moduleName=>_loader(userResolver, moduleName, useSyncResolve, abort.signal))) :
+        _loader(userResolver, moduledId, useSyncResolve, abort.signal)
     );
 
     if (!callback) return modules;
@@ -427,9 +643,17 @@ function requireAsync(userResolver, moduleId, callback) {
  */
 function syncRequire(...params) {
   const [userResolver, moduleId] = _parseRequireParams(params);
-  if (userResolver.isCoreModule(moduleId)) return getRequire()(moduleId);
+  if (userResolver.isCoreModule(moduleId)) {
+    graph.addEdge(userResolver.parent, moduleId, {request:moduleId, type:'core'});
+    const coreId = moduleId.replace(/^node:/, '');
+    if (mocks.has(coreId)) return _requireMock(coreId, userResolver, moduleId, true);
+    return getRequire()(moduleId);
+  }
   userResolver.basedir = userResolver.basedir || userResolver.dir;
   const filename = resolveModulePathSync(userResolver, moduleId, true);
+  graph.addEdge(userResolver.parent, filename, {request:moduleId});
+  if (mocks.has(filename)) return _requireMock(filename, userResolver, moduleId, true);
+  recordMiss(filename, userResolver.parent, moduleId);
   return _loadModuleSync(filename, userResolver);
 }
 
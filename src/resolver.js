@@ -3,6 +3,7 @@
 const settings = require('./settings');
 const $private = require("@simpo/private").getInstance();
 const path = require('path');
+const Node_Module = require('module');
 const {
   isDirectory,
   isDirectorySync,
@@ -16,18 +17,27 @@ const {
   promisify,
   makeArray,
   without,
-  chain
+  chain,
+  isString,
+  isFunction,
+  getCallingFileName
 } = require('./util');
 const {fileCache, resolveCache, getStore} = require('./stores');
 const {memoize} = require('./memoize');
+const lockfile = require('./lockfile');
+const virtual = require('./virtual');
+const protocols = require('./protocols');
+const {resolveAliases, mapAlias, mapImport, mapExport, mapVersion, mapVersionAsync, defaultConditions} = require('./mapping');
+const {getModuleDirectories} = require('./packages');
+
+const functionIds = new WeakMap();
+let functionCount = 0;
 
 const resolveMemoizeOptions = {
   cacheParams:3,
   cache:getStore('resolveCache'),
-  resolver:(moduleId, options={})=>{
-    const {basedir, moduleDirectory='node_modules'} = options;
-    return [moduleId, moduleDirectory, basedir]
-  },
+  cacheErrors:false,
+  resolver:(moduleId, options)=>_getResolveKey(moduleId, options),
   type:'function'
 };
 
@@ -61,7 +71,14 @@ const otherOptions = [
   'merge',
   'scope',
   'options',
-  'squashErrors'
+  'squashErrors',
+  'prefetch',
+  'transforms',
+  'signal',
+  'timeout',
+  'aliases',
+  'conditions',
+  'version'
 ];
 
 const toExport = [
@@ -72,7 +89,11 @@ const toExport = [
   'merge',
   'scope',
   'options',
-  'squashErrors'
+  'squashErrors',
+  'prefetch',
+  'transforms',
+  'aliases',
+  'conditions'
 ];
 
 
@@ -81,6 +102,8 @@ function _importOptions(instance, options={}) {
   const _options = Object.assign({
     extensions: new Set(makeArray(settings.get('extensions'))),
     moduleDirectory: options.moduleDirectory || options.modules || settings.get('moduleDirectory'),
+    aliases: settings.get('aliases'),
+    conditions: settings.get('conditions') || defaultConditions,
     preserveSymlinks: false
   }, options);
 
@@ -126,6 +149,36 @@ function getPaths(dir, options) {
   return getExtraPaths(roots.slice(0, found), options.moduleDirectory);
 }
 
+/**
+ * Get the key a resolution is stored under in the resolve store: the module id, the options that change what it
+ * resolves to and the directory resolved from.
+ *
+ * @private
+ * @param {string} moduleId       The module id.
+ * @param {Object} [options]      Options for the resolve function.
+ * @returns {Array}               The key in the format [moduleId, options signature, basedir].
+ */
+function _getResolveKey(moduleId, {
+  basedir, moduleDirectory='node_modules', extensions=[], paths=[], preserveSymlinks=false, packageFilter, pathFilter
+}={}) {
+  return [moduleId, JSON.stringify([
+    moduleDirectory, [...extensions], paths, !!preserveSymlinks, _getFunctionId(packageFilter), _getFunctionId(pathFilter)
+  ]), basedir];
+}
+
+/**
+ * Get an id for a function, so resolve options with different filter functions are stored separately.
+ *
+ * @private
+ * @param {Function} [fn]         The function.
+ * @returns {number|null}         The id or null if not a function.
+ */
+function _getFunctionId(fn) {
+  if (!isFunction(fn)) return null;
+  if (!functionIds.has(fn)) functionIds.set(fn, functionCount++);
+  return functionIds.get(fn);
+}
+
 const resolve = memoize(function resolve(moduleId, options) {
   return promisify(settings.get('resolveModule'))(moduleId, options);
 }, {...resolveMemoizeOptions, type:'promise'});
@@ -134,39 +187,356 @@ const resolveSync = memoize(function resolveSync(moduleId, options) {
   return settings.get('resolveModule').sync(moduleId, options);
 }, resolveMemoizeOptions);
 
+/**
+ * Resolve a module, checking against and recording to the lockfile (see the 'lockfile' setting).
+ *
+ * @private
+ * @param {string} moduleId       The module id to resolve.
+ * @param {Object} options        Options for the resolve function.
+ * @returns {Promise.<string>}
+ */
+function _resolveLocked(moduleId, options) {
+  try {
+    lockfile.check(moduleId, options);
+  } catch(err) {
+    return Promise.reject(err);
+  }
+  return resolve(moduleId, options).then(resolved=>{
+    lockfile.record(moduleId, options, resolved);
+    return resolved;
+  });
+}
+
+/**
+ * Resolve core modules and ids handled by a protocol (ids with a registered scheme, or relative ids from a module
+ * loaded through one).  Protocols without a read function hand back an id that is resolved as normal.
+ *
+ * @private
+ * @param {Resolver} resolver                         The resolver.
+ * @param {string} moduleId                           The module id to resolve.
+ * @param {string} basedir                            The directory resolving from.
+ * @param {boolean} sync                              Resolve synchronously?
+ * @returns {Promise.<string>|string|undefined}       The resolved id or undefined if not a core or protocol id.
+ */
+function _resolveSpecial(resolver, moduleId, basedir, sync) {
+  if (resolver.isCoreModule(moduleId)) return (sync ? moduleId : Promise.resolve(moduleId));
+  const protocol = protocols.find(moduleId) || (/^\.{1,2}\//.test(moduleId) && protocols.find(basedir));
+  if (!protocol) return;
+
+  const done = resolved=>{
+    if (protocol.read) return resolved;
+    if (protocols.find(resolved) === protocol) throw new Error(`The ${protocol.scheme}: protocol did not resolve ${moduleId}`);
+    return (sync ? resolver.resolveSync(resolved, basedir) : resolver.resolve(resolved, basedir));
+  };
+
+  if (sync) return done(protocols.resolve(protocol, moduleId, basedir, true));
+  return protocols.resolve(protocol, moduleId, basedir).then(done);
+}
+
+/**
+ * Resolve a (mapped) module id asynchronously.
+ *
+ * @private
+ * @param {Resolver} resolver           The resolver.
+ * @param {string} moduleId             The module id.
+ * @param {string} basedir              The directory resolving from.
+ * @returns {Promise.<string>}
+ */
+function _resolve(resolver, moduleId, basedir) {
+  const special = _resolveSpecial(resolver, moduleId, basedir, false);
+  if (special) return special;
+
+  const options = {
+    ...pick(resolver, allowedOptions),
+    basedir,
+    isDirectory,
+    isFile: (file, cb)=>(virtual.has(file) ? cb(null, true) : isFile(file, cb)),
+    readFile: (...params)=>nodeReadFile(fileCache, ...params)
+  };
+
+  options.paths = [...(options.paths||[]), ...getPaths(basedir, options)];
+  return _resolveLocked(moduleId, options);
+}
+
+/**
+ * Resolve a (mapped) module id synchronously.
+ *
+ * @private
+ * @param {Resolver} resolver           The resolver.
+ * @param {string} moduleId             The module id.
+ * @param {string} basedir              The directory resolving from.
+ * @returns {string}
+ */
+function _resolveSync(resolver, moduleId, basedir) {
+  const special = _resolveSpecial(resolver, moduleId, basedir, true);
+  if (special !== undefined) return special;
+
+  const options = {
+    ...pick(resolver, allowedOptions),
+    basedir,
+    isDirectory: isDirectorySync,
+    isFile: file=>(virtual.has(file) || isFileSync(file)),
+    readFile: (path, {encoding=null})=>readFileSync(path, fileCache, encoding)
+  };
+
+  options.paths = [...(options.paths||[]),...getPaths(basedir, options)];
+  lockfile.check(moduleId, options);
+  const resolved = resolveSync(moduleId, options);
+  lockfile.record(moduleId, options, resolved);
+  return resolved;
+}
+
+/**
+ * Look up a resolution in the resolve store, without resolving.
+ *
+ * @private
+ * @param {string} moduleId                         The module id.
+ * @param {Object} options                          Options for the resolve function.
+ * @returns {Object}                                Object in the format {hit, resolved, error}.
+ */
+function _getCached(moduleId, options) {
+  const [, signature, basedir] = _getResolveKey(moduleId, options);
+  const bySignature = resolveCache.get(moduleId);
+  const byBasedir = ((bySignature instanceof Map) ? bySignature.get(signature) : undefined);
+  if (!(byBasedir instanceof Map) || !byBasedir.has(basedir)) return {hit:false};
+  const [error, resolved] = byBasedir.get(basedir);
+  return {hit:true, resolved, error:(error || undefined)};
+}
+
+/**
+ * Put the resolutions of a replayed lockfile in the resolve store, keyed by the options of the default resolver.
+ *
+ * @private
+ * @param {Map} resolutions               Resolutions in the format Map(basedir=>Map(moduleId=>filename)).
+ * @param {string} moduleDirectory        The moduleDirectory they were recorded with.
+ */
+function _seedResolveCache(resolutions, moduleDirectory) {
+  const resolver = settings.get('resolver') || {};
+  if ((resolver.moduleDirectory || 'node_modules') !== moduleDirectory) return;
+
+  resolutions.forEach((filenames, basedir)=>{
+    const options = {...pick(resolver, allowedOptions), basedir};
+    options.paths = [...(options.paths||[]), ...getPaths(basedir, options)];
+    filenames.forEach((filename, moduleId)=>{
+      const [, signature] = _getResolveKey(moduleId, options);
+      const bySignature = (resolveCache.has(moduleId) ? resolveCache.get(moduleId) : new Map());
+      if (!bySignature.has(signature)) bySignature.set(signature, new Map());
+      bySignature.get(signature).set(basedir, [null, filename]);
+      resolveCache.set(moduleId, bySignature);
+    });
+  });
+}
+
+/**
+ * Run the resolve function with file system checks that record each path tried, and where it came from.
+ *
+ * @private
+ * @param {string} moduleId             The module id.
+ * @param {Object} options              The resolve options.
+ * @param {Object} trace                The trace to add candidates to (with the paths searched).
+ * @returns {Promise.<Object>}          Object in the format {resolved, error}.
+ */
+function _trace(moduleId, options, trace) {
+  const sources = [
+    ...trace.paths.roots.map(dir=>[dir, 'roots']),
+    ...trace.paths.paths.map(dir=>[path.resolve(dir), 'paths']),
+    ...trace.paths.moduleDirectory.map(dir=>[dir, 'moduleDirectory'])
+  ];
+  const getSource = file=>{
+    const found = sources.find(([dir])=>file.startsWith(`${dir}${path.sep}`));
+    return (found ? found[1] : 'basedir');
+  };
+  const check = (check, test)=>(file, cb)=>{
+    if (virtual.has(file)) {
+      trace.candidates.push({path:file, check, found:(check === 'isFile'), source:getSource(file), virtual:true});
+      return cb(null, (check === 'isFile'));
+    }
+    return test(file, (err, found)=>{
+      trace.candidates.push({path:file, check, found:!!found, source:getSource(file)});
+      return cb(err, found);
+    });
+  };
+  const packageFilter = options.packageFilter;
+
+  return new Promise(resolve=>settings.get('resolveModule')(moduleId, {
+    ...options,
+    paths: [...trace.paths.paths, ...trace.paths.roots],
+    isDirectory: check('isDirectory', isDirectory),
+    isFile: check('isFile', isFile),
+    readFile: (...params)=>nodeReadFile(fileCache, ...params),
+    packageFilter: (pkg, pkgfile)=>{
+      const filtered = (packageFilter ? packageFilter(pkg, pkgfile) : pkg);
+      trace.candidates.push({path:pkgfile, check:'read', found:true, source:getSource(pkgfile), main:filtered.main});
+      return filtered;
+    }
+  }, (error, resolved)=>resolve({resolved:(error ? undefined : resolved), error:(error || undefined)})));
+}
+
+/**
+ * Map a module id through the aliases of a resolver and the "imports" of the nearest package.json (for # ids).
+ *
+ * @private
+ * @param {Resolver} resolver           The resolver.
+ * @param {string} moduleId             The module id.
+ * @param {string} basedir              The directory resolving from.
+ * @returns {Object}                    Object in the format {id, basedir, via}.
+ */
+function _mapAliasOrImport(resolver, moduleId, basedir) {
+  const aliased = mapAlias(moduleId, resolver.aliases);
+  const imported = ((aliased === undefined) ? mapImport(moduleId, basedir, resolver.conditions) : undefined);
+  if (aliased !== undefined) return {id:aliased, basedir, via:['alias']};
+  return (imported ? {...imported, via:['imports']} : {id:moduleId, basedir, via:[]});
+}
+
+/**
+ * Get the options to pass to mapVersion() for a resolver.
+ *
+ * @private
+ * @param {Resolver} resolver           The resolver.
+ * @returns {Object}
+ */
+function _getVersionOptions(resolver) {
+  return {
+    version: resolver.version,
+    conditions: resolver.conditions,
+    moduleDirectory: resolver.moduleDirectory,
+    paths: resolver.paths || [],
+    roots: settings.get('roots') || []
+  };
+}
+
+/**
+ * Finish mapping a module id: to the installed copy picked for its version range, if it has one, or through the
+ * "exports" of the package it names.
+ *
+ * @private
+ * @param {Resolver} resolver           The resolver.
+ * @param {Object} mapped               The id mapped so far, in the format {id, basedir, via}.
+ * @param {Object} [versioned]          The result of mapVersion().
+ * @returns {Object}                    Object in the format {id, basedir, via}.
+ */
+function _mapVersionOrExport(resolver, mapped, versioned) {
+  if (versioned) return {id:versioned.id, basedir:versioned.basedir, via:[...mapped.via, 'version']};
+
+  const exported = mapExport(mapped.id, mapped.basedir, {
+    conditions: resolver.conditions,
+    moduleDirectory: resolver.moduleDirectory,
+    paths: [...(resolver.paths || []), ...getPaths(mapped.basedir, resolver)]
+  });
+  return (exported ? {...exported, via:[...mapped.via, 'exports']} : mapped);
+}
+
 class Resolver {
-  constructor(options) {
+  constructor(options={}) {
     _importOptions(this, options);
-    if (!this.basedir && settings.has('parent')) {
-      this.basedir = path.dirname(settings.get('parent').filename || settings.get('parent'));
-    }
+    const parentDir = (settings.has('parent') ? path.dirname(settings.get('parent').filename || settings.get('parent')) : undefined);
+    if (!this.basedir && parentDir) this.basedir = parentDir;
+    this.aliases = resolveAliases(this.aliases, (options.aliases ? this.basedir : parentDir) || process.cwd());
   }
 
   resolve(moduleId, basedir=this.basedir||__dirname, cb) {
-    const options = {
-      ...pick(this, allowedOptions),
-      basedir,
-      isDirectory,
-      isFile,
-      readFile: (...params)=>nodeReadFile(fileCache, ...params)
-    };
-
-    options.paths = [...(options.paths||[]), ...getPaths(basedir, options)];
-    if (!cb) return resolve(moduleId, options);
-    return resolve(moduleId, options).then(resolved=>cb(null, resolved), err=>cb(err, null));
+    const resolved = this.mapAsync(moduleId, basedir).then(mapped=>_resolve(this, mapped.id, mapped.basedir));
+    if (!cb) return resolved;
+    return resolved.then(resolved=>cb(null, resolved), err=>cb(err, null));
   }
 
   resolveSync(moduleId, basedir=this.basedir||__dirname) {
-    const options = {
-      ...pick(this, allowedOptions),
-      basedir,
-      isDirectory: isDirectorySync,
-      isFile: isFileSync,
-      readFile: (path, {encoding=null})=>readFileSync(path, fileCache, encoding)
+    const mapped = this.map(moduleId, basedir);
+    return _resolveSync(this, mapped.id, mapped.basedir);
+  }
+
+  /**
+   * Map a module id through the aliases of this resolver and the "imports" of the nearest package.json (for # ids),
+   * then to the highest installed copy satisfying a version range (for ids like 'lodash@^4.17', or any bare id when
+   * this resolver has a version option) and through the "exports" of the package it names (for bare ids).
+   * Conditions in imports and exports are matched against the conditions of this resolver.
+   *
+   * @throws {PackageImportError}           When a # id is not in the imports.
+   * @throws {PackageExportError}           When a package subpath is not exported.
+   * @throws {VersionNotFoundError}         When no installed copy satisfies the version range.
+   * @param {string} moduleId               The module id.
+   * @param {string} [basedir]              The directory resolving from.
+   * @returns {Object}                      Object in the format {id, basedir, via}, with the id and directory to
+   *                                        resolve (the same as given if nothing matches) and what mapped them
+   *                                        ('alias', 'imports', 'version' and/or 'exports').
+   */
+  map(moduleId, basedir=this.basedir||__dirname) {
+    const mapped = _mapAliasOrImport(this, moduleId, basedir);
+    if (this.isCoreModule(mapped.id) || protocols.find(mapped.id)) return mapped;
+    return _mapVersionOrExport(this, mapped, mapVersion(mapped.id, mapped.basedir, _getVersionOptions(this)));
+  }
+
+  /**
+   * Map a module id as map() does, looking for installed copies of versioned ids asynchronously.
+   *
+   * @param {string} moduleId               The module id.
+   * @param {string} [basedir]              The directory resolving from.
+   * @returns {Promise.<Object>}            Object in the format {id, basedir, via} (see map()).
+   */
+  async mapAsync(moduleId, basedir=this.basedir||__dirname) {
+    const mapped = _mapAliasOrImport(this, moduleId, basedir);
+    if (this.isCoreModule(mapped.id) || protocols.find(mapped.id)) return mapped;
+    return _mapVersionOrExport(this, mapped, await mapVersionAsync(mapped.id, mapped.basedir, _getVersionOptions(this)));
+  }
+
+  /**
+   * Get the directories a (mapped) module id is looked for in.  Only bare ids are looked for in these, paths are
+   * resolved from basedir.
+   *
+   * @param {string} moduleId               The module id.
+   * @param {string} [basedir]              The directory resolving from.
+   * @returns {Object}                      Object in the format {moduleDirectory, roots, paths}, with the module
+   *                                        directories up from basedir, those from the 'roots' setting and the paths
+   *                                        option.
+   */
+  getSearchPaths(moduleId, basedir=this.basedir||__dirname) {
+    if (/^(?:\.{1,2}(?:[\\\/]|$)|[\\\/]|[a-zA-Z]:[\\\/])/.test(moduleId)) return {moduleDirectory:[], roots:[], paths:[]};
+    return {
+      moduleDirectory: getModuleDirectories(basedir, this.moduleDirectory),
+      roots: getPaths(basedir, this),
+      paths: [...(this.paths||[])]
+    };
+  }
+
+  /**
+   * Resolve a module id, tracing every step.  The resolution is run again against the file system (without the
+   * cache), recording each path checked, and compared with any cached resolution.  Nothing is cached.
+   *
+   * @param {string} moduleId               The module id.
+   * @param {string} [basedir]              The directory resolving from.
+   * @returns {Promise.<Object>}            The trace, in the format {moduleId, basedir, mapped, type, paths, cache,
+   *                                        candidates, resolved, fromCache, stale, error}.
+   */
+  async explain(moduleId, basedir=this.basedir||__dirname) {
+    const trace = {
+      moduleId, basedir, mapped:undefined, type:'module', paths:{moduleDirectory:[], roots:[], paths:[]},
+      cache:{hit:false}, candidates:[], resolved:undefined, fromCache:false, stale:false, error:undefined
     };
 
-    options.paths = [...(options.paths||[]),...getPaths(basedir, options)];
-    return resolveSync(moduleId, options);
+    try {
+      const mapped = await this.mapAsync(moduleId, basedir);
+      trace.mapped = mapped;
+      if (this.isCoreModule(mapped.id) || protocols.find(mapped.id) ||
+        (/^\.{1,2}\//.test(mapped.id) && protocols.find(mapped.basedir))) {
+        trace.type = (this.isCoreModule(mapped.id) ? 'core' : 'protocol');
+        trace.resolved = await _resolve(this, mapped.id, mapped.basedir);
+        return trace;
+      }
+
+      const options = {...pick(this, allowedOptions), basedir:mapped.basedir};
+      trace.paths = this.getSearchPaths(mapped.id, mapped.basedir);
+      trace.cache = _getCached(mapped.id, {...options, paths:[...(options.paths||[]), ...getPaths(mapped.basedir, options)]});
+
+      const traced = await _trace(mapped.id, options, trace);
+      trace.fromCache = trace.cache.hit;
+      trace.resolved = (trace.cache.hit ? trace.cache.resolved : traced.resolved);
+      trace.error = (trace.cache.hit ? trace.cache.error : traced.error);
+      trace.stale = (trace.cache.hit && (trace.cache.resolved !== traced.resolved));
+    } catch(error) {
+      trace.error = error;
+    }
+
+    return trace;
   }
 
   addExtensions(...ext) {
@@ -211,7 +581,10 @@ class Resolver {
   }
 
   isCoreModule(moduleId) {
-    return !!settings.get('resolveModule').isCore(moduleId);
+    if (!isString(moduleId)) return false;
+    if (moduleId.substring(0, 5) !== 'node:') return !!settings.get('resolveModule').isCore(moduleId);
+    if (isFunction(Node_Module.isBuiltin)) return Node_Module.isBuiltin(moduleId);
+    return Node_Module.builtinModules.includes(moduleId.substring(5));
   }
 
   /**
@@ -233,4 +606,6 @@ class Resolver {
   }
 }
 
+lockfile.setSeeder(_seedResolveCache);
+
 module.exports = Resolver;
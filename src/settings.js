@@ -10,7 +10,15 @@ const getterOverrides = {
 };
 
 const setterOverrides = {
-  extensions: value=>uniq(makeArray(value))
+  extensions: value=>uniq(makeArray(value)),
+  stores: value=>{
+    require('./stores').configure(value);
+    return value;
+  },
+  lockfile: value=>{
+    require('./lockfile').configure(value);
+    return value;
+  }
 };
 
 /**
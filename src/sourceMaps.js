@@ -0,0 +1,264 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const {fileURLToPath} = require('url');
+const {SourceMapConsumer} = require('source-map');
+const settings = require('./settings');
+const {isFunction, isString} = require('./util');
+
+const maps = new Map();
+const xSourceMappingUrl = /\/[\/*][#@]\s*sourceMappingURL=([^\s'"*]+)\s*(?:\*\/\s*)?$/;
+const xDataUrl = /^data:application\/json(?:;charset=[^;,]+)?(;base64)?,(.*)$/;
+
+let installed = false;
+let previousPrepareStackTrace;
+
+/**
+ * Find the sourceMappingURL comment in some code.  Only the last comment counts.
+ *
+ * @private
+ * @param {string} code             The code.
+ * @returns {string|undefined}      The url.
+ */
+function _getSourceMappingUrl(code) {
+  const lines = code.trimRight().split(/\r?\n/);
+  for (let n=lines.length-1; n>=0 && n>=lines.length-5; n--) {
+    const match = xSourceMappingUrl.exec(lines[n]);
+    if (match) return match[1];
+  }
+}
+
+/**
+ * Read the source map for a registered file.  Inline maps are decoded from their data url, others are read from
+ * the file next to the script.
+ *
+ * @private
+ * @param {Object} entry                The registered entry.
+ * @returns {Object|string|undefined}   The raw source map.
+ */
+function _readSourceMap(entry) {
+  if (entry.map) return entry.map;
+  const dataUrl = xDataUrl.exec(entry.url);
+  if (dataUrl) return (dataUrl[1] ? Buffer.from(dataUrl[2], 'base64').toString() : decodeURIComponent(dataUrl[2]));
+  if (/^data:/.test(entry.url)) return;
+
+  const mapFile = (/^file:/.test(entry.url) ?
+    fileURLToPath(entry.url) :
+    path.resolve(path.dirname(entry.filename), entry.url)
+  );
+  entry.basedir = path.dirname(mapFile);
+  return fs.readFileSync(mapFile, 'utf-8');
+}
+
+/**
+ * Get the (lazily created) source map consumer for a registered file.
+ *
+ * @private
+ * @param {Object} entry                      The registered entry.
+ * @returns {SourceMapConsumer|undefined}     The consumer, undefined if the map cannot be read.
+ */
+function _getConsumer(entry) {
+  if (entry.consumer === undefined) {
+    try {
+      const map = _readSourceMap(entry);
+      entry.consumer = (map ? new SourceMapConsumer(isString(map) ? JSON.parse(map) : map) : null);
+    } catch(err) {
+      entry.consumer = null;
+    }
+  }
+  return entry.consumer || undefined;
+}
+
+/**
+ * Get an absolute path for a source in a source map.  Sources that are urls (other than file urls) are left alone.
+ *
+ * @private
+ * @param {Object} entry        The registered entry.
+ * @param {string} source       The source.
+ * @returns {string}
+ */
+function _resolveSource(entry, source) {
+  if (/^file:/.test(source)) return fileURLToPath(source);
+  if (/^[a-z][a-z0-9+.-]*:\/\//i.test(source) || path.isAbsolute(source)) return source;
+  return path.resolve(entry.basedir, source);
+}
+
+/**
+ * Create a copy of a V8 CallSite with a different position.
+ *
+ * @private
+ * @param {CallSite} callSite     The original call site.
+ * @param {Object} position       The original position in the format {source, line, column}.
+ * @returns {Object}              The mapped call site.
+ */
+function _createCallSite(callSite, {source, line, column}) {
+  const mapped = {};
+  Object.getOwnPropertyNames(Object.getPrototypeOf(callSite))
+    .filter(name=>((name !== 'constructor') && isFunction(callSite[name])))
+    .forEach(name=>{mapped[name] = (...params)=>callSite[name](...params);});
+
+  const generated = `${callSite.getFileName()}:${callSite.getLineNumber()}:${callSite.getColumnNumber()}`;
+  return Object.assign(mapped, {
+    getFileName: ()=>source,
+    getScriptNameOrSourceURL: ()=>source,
+    getLineNumber: ()=>line,
+    getColumnNumber: ()=>column,
+    toString: ()=>{
+      const text = callSite.toString();
+      const at = text.lastIndexOf(generated);
+      if (at === -1) return text;
+      return `${text.substring(0, at)}${source}:${line}:${column}${text.substring(at + generated.length)}`;
+    }
+  });
+}
+
+/**
+ * Map a call site to its original position, if it is in a file with a registered source map.
+ *
+ * @private
+ * @param {CallSite} callSite       The call site.
+ * @returns {CallSite|Object}       The mapped call site or the original if it cannot be mapped.
+ */
+function _mapCallSite(callSite) {
+  try {
+    const filename = callSite.getFileName();
+    if (!filename || !maps.has(filename)) return callSite;
+    const position = mapPosition(filename, callSite.getLineNumber(), callSite.getColumnNumber());
+    return (position ? _createCallSite(callSite, position) : callSite);
+  } catch(err) {
+    return callSite;
+  }
+}
+
+/**
+ * Get the header line of a stack (eg. "TypeError: message").
+ *
+ * @private
+ * @param {Error} error     The error.
+ * @returns {string}
+ */
+function _getStackHeader(error) {
+  try {
+    return Error.prototype.toString.call(error);
+  } catch(err) {
+    return '<error>';
+  }
+}
+
+/**
+ * Replacement for Error.prepareStackTrace, mapping call sites before passing them to any previous handler.
+ *
+ * @private
+ * @param {Error} error                     The error.
+ * @param {Array.<CallSite>} callSites      The stack call sites.
+ * @returns {string|*}                      The stack.
+ */
+function _prepareStackTrace(error, callSites) {
+  const mapped = callSites.map(_mapCallSite);
+  if (isFunction(previousPrepareStackTrace)) return previousPrepareStackTrace(error, mapped);
+  return `${_getStackHeader(error)}${mapped.map(callSite=>`\n    at ${callSite}`).join('')}`;
+}
+
+/**
+ * Install the stack trace handler, if not already installed.  Any existing Error.prepareStackTrace is kept and
+ * receives the mapped call sites.
+ *
+ * @public
+ */
+function install() {
+  if (installed) return;
+  previousPrepareStackTrace = Error.prepareStackTrace;
+  Error.prepareStackTrace = _prepareStackTrace;
+  installed = true;
+}
+
+/**
+ * Remove the stack trace handler, restoring the previous one if it has not been replaced since.
+ *
+ * @public
+ */
+function uninstall() {
+  if (!installed) return;
+  if (Error.prepareStackTrace === _prepareStackTrace) Error.prepareStackTrace = previousPrepareStackTrace;
+  previousPrepareStackTrace = undefined;
+  installed = false;
+}
+
+/**
+ * Register the source map for an evaluated file.  The map can be given (eg. from a transform) or found from a
+ * sourceMappingURL comment in the code, either inline as a data url or pointing at a file.  Maps are not read until
+ * a stack needs them.  Does nothing if the 'sourceMaps' setting is false.
+ *
+ * @public
+ * @param {string} filename                   The file path used when compiling the code.
+ * @param {string} code                       The code (before any wrapping).
+ * @param {Object|string} [map]               The source map, if known.
+ * @param {Object} [options]                  Options.
+ * @param {number} [options.lineOffset=0]     Lines added before the code when it was compiled.
+ * @param {number} [options.columnOffset=0]   Columns added before the first line of the code when it was compiled.
+ * @returns {boolean}                         Was a source map found?
+ */
+function register(filename, code, map, {lineOffset=0, columnOffset=0}={}) {
+  maps.delete(filename);
+  if ((settings.get('sourceMaps') === false) || !filename) return false;
+  const url = (map ? undefined : _getSourceMappingUrl(code || ''));
+  if (!map && !url) return false;
+
+  maps.set(filename, {filename, map, url, lineOffset, columnOffset, basedir:path.dirname(filename)});
+  install();
+  return true;
+}
+
+/**
+ * Remove the source map for a file.
+ *
+ * @public
+ * @param {string} filename     The file path.
+ * @returns {boolean}           Was anything removed?
+ */
+function unregister(filename) {
+  return maps.delete(filename);
+}
+
+/**
+ * Get the original position for a position in an evaluated file.
+ *
+ * @public
+ * @param {string} filename           The file path.
+ * @param {number} line               The line (starting at 1).
+ * @param {number} column             The column (starting at 1).
+ * @returns {Object|undefined}        The original position in the format {source, line, column, name} or undefined
+ *                                    if it cannot be mapped.
+ */
+function mapPosition(filename, line, column) {
+  const entry = maps.get(filename);
+  const consumer = (entry ? _getConsumer(entry) : undefined);
+  if (!consumer) return;
+
+  const _line = line - entry.lineOffset;
+  if (_line < 1) return;
+  const _column = Math.max(column - 1 - ((_line === 1) ? entry.columnOffset : 0), 0);
+  const original = consumer.originalPositionFor({line:_line, column:_column});
+  if (original.source === null) return;
+
+  return {
+    source: _resolveSource(entry, original.source),
+    line: original.line,
+    column: original.column + 1,
+    name: original.name || undefined
+  };
+}
+
+/**
+ * Remove all the registered source maps.
+ *
+ * @public
+ */
+function clear() {
+  maps.clear();
+}
+
+module.exports = {
+  register, unregister, mapPosition, install, uninstall, clear
+};
@@ -1,5 +1,7 @@
 'use strict';
 
+const Store = require('./Store');
+
 function clear(options={}) {
   const {difference, makeArray} = require('./util');
   const {includes=Object.keys(stores),excludes=[]} = options;
@@ -24,18 +26,51 @@ function getStore(storeId) {
   if (stores.hasOwnProperty(storeId)) return stores[storeId];
 }
 
+/**
+ * Set the limits on stores, from the 'stores' setting.
+ *
+ * @public
+ * @param {Object} [options={}]     Limits for each store (maxSize, maxMemory & ttl) against the store name.
+ */
+function configure(options={}) {
+  Object.keys(options).forEach(storeId=>{
+    const store = getStore(storeId);
+    if (store instanceof Store) store.configure(options[storeId]);
+  });
+}
+
+/**
+ * Get the hit, miss and eviction stats for all the stores.
+ *
+ * @public
+ * @returns {Object}      The stats against the store name.
+ */
+function getStats() {
+  const stats = {};
+  Object.keys(stores).forEach(storeId=>{
+    if (stores[storeId] instanceof Store) stats[storeId] = stores[storeId].getStats();
+  });
+  return stats;
+}
+
 const stores = {
   filePaths: new WeakMap(),
   fileQueue: [],
-  statDir: new Map(),
-  statFile: new Map(),
-  statCache: new Map(),
-  lStatCache: new Map(),
-  fileCache: new Map(),
-  readDirCache: new Map(),
-  resolveCache: new Map(),
+  statDir: new Store(),
+  statFile: new Store(),
+  statCache: new Store(),
+  lStatCache: new Store(),
+  fileCache: new Store({canEvict:(filename, data)=>(data !== true)}), // true is set while the file is loading.
+  readDirCache: new Store(),
+  resolveCache: new Store(),
+  packageCache: new Store(),
+  versionCache: new Store(),
+  esmCache: new Store(),
+  transformCache: new Store(),
   clear,
-  getStore
+  getStore,
+  configure,
+  getStats
 };
 
 module.exports = stores;
\ No newline at end of file
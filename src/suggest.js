@@ -0,0 +1,248 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const Node_Module = require('module');
+const settings = require('./settings');
+const cycles = require('./cycles');
+const graph = require('./graph');
+const virtual = require('./virtual');
+const {parsePackageId} = require('./mapping');
+const {getModuleDirectories} = require('./packages');
+const {makeArray} = require('./util');
+const {ModuleNotFoundError} = require('./errors');
+
+const MAX_SUGGESTIONS = 5;
+const order = ['case', 'extension', 'root', 'typo'];
+
+/**
+ * Get the edit distance between two strings.
+ *
+ * @private
+ * @param {string} a
+ * @param {string} b
+ * @returns {number}
+ */
+function _distance(a, b) {
+  let previous = Array.from({length:b.length+1}, (value, n)=>n);
+  for (let i=1; i<=a.length; i++) {
+    const current = [i];
+    for (let j=1; j<=b.length; j++) {
+      current[j] = Math.min(previous[j]+1, current[j-1]+1, previous[j-1]+((a[i-1] === b[j-1]) ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Is one name a likely typo of another?
+ *
+ * @private
+ * @param {string} name         The name asked for.
+ * @param {string} found        A name that exists.
+ * @returns {number|boolean}    The distance or false if not close.
+ */
+function _isTypo(name, found) {
+  const distance = _distance(name.toLowerCase(), found.toLowerCase());
+  return ((distance <= Math.min(2, Math.max(1, Math.floor(name.length/3)))) ? distance : false);
+}
+
+/**
+ * List a directory, including virtual modules, without throwing.
+ *
+ * @private
+ * @param {string} dir                The directory.
+ * @returns {Array.<string>}          The names in it.
+ */
+function _list(dir) {
+  let names = [];
+  try {
+    names = fs.readdirSync(dir);
+  } catch(err) {}
+  return [...new Set([...names, ...virtual.list(dir)])];
+}
+
+/**
+ * Does a path exist (on disk or as a virtual module directory)?
+ *
+ * @private
+ * @param {string} filename     The path.
+ * @returns {boolean}
+ */
+function _exists(filename) {
+  return (fs.existsSync(filename) || virtual.has(filename) || virtual.isDirectory(filename));
+}
+
+/**
+ * Remove the extension from a name.
+ *
+ * @private
+ * @param {string} name
+ * @returns {string}
+ */
+function _stripExtension(name) {
+  return name.substring(0, name.length - path.extname(name).length) || name;
+}
+
+/**
+ * Find names in a directory close to the one asked for: the same name in a different case, the same name with a
+ * different extension or a similar name.
+ *
+ * @private
+ * @param {string} dir                      The directory.
+ * @param {string} name                     The name asked for.
+ * @param {string} prefix                   Prefix for the suggested ids (the part of the id before the name).
+ * @param {boolean} [isFile=true]           Is it a file (rather than a package) name, so extensions can differ?
+ * @returns {Array.<Object>}                Suggestions in the format {id, reason, path, distance}.
+ */
+function _suggestInDirectory(dir, name, prefix, isFile=true) {
+  const base = (isFile ? _stripExtension(name) : name);
+  return _list(dir).map(found=>{
+    const foundBase = (isFile ? _stripExtension(found) : found);
+    const suggestion = {id:`${prefix}${found}`, path:path.join(dir, found), distance:0};
+    if ((found !== name) && (found.toLowerCase() === name.toLowerCase())) return {...suggestion, reason:'case'};
+    if ((foundBase !== base) && (foundBase.toLowerCase() === base.toLowerCase())) return {...suggestion, reason:'case'};
+    if ((foundBase === base) && (found !== name)) return {...suggestion, reason:'extension'};
+    const distance = _isTypo(base, foundBase);
+    if (distance !== false) return {...suggestion, reason:'typo', distance};
+  }).filter(suggestion=>suggestion);
+}
+
+/**
+ * Find packages close to the one asked for in the given module directories.  If the package is there, look for
+ * files close to the subpath asked for instead.
+ *
+ * @private
+ * @param {string} moduleId           The module id.
+ * @param {Array.<string>} dirs       The module directories searched.
+ * @returns {Array.<Object>}          Suggestions in the format {id, reason, path, distance}.
+ */
+function _suggestPackages(moduleId, dirs) {
+  const {name, subpath} = parsePackageId(moduleId);
+  const scope = ((name.charAt(0) === '@') ? name.split('/')[0] : '');
+  const suggestions = [];
+
+  for (let n=0; n<dirs.length; n++) {
+    if (_exists(path.join(dirs[n], name))) {
+      if (subpath === '.') return [];
+      const filename = path.join(dirs[n], name, subpath);
+      const prefix = moduleId.substring(0, moduleId.lastIndexOf('/')+1);
+      return _suggestInDirectory(path.dirname(filename), path.basename(filename), prefix);
+    }
+    const packageName = (scope ? name.substring(scope.length+1) : name);
+    suggestions.push(..._suggestInDirectory(path.join(dirs[n], scope), packageName, (scope ? `${scope}/` : ''), false)
+      .map(suggestion=>({...suggestion, id:`${suggestion.id}${moduleId.substring(name.length)}`}))
+    );
+  }
+
+  Node_Module.builtinModules.forEach(builtin=>{
+    const distance = _isTypo(name, builtin);
+    if (distance !== false) suggestions.push({id:builtin, reason:'typo', path:builtin, distance});
+  });
+
+  return suggestions;
+}
+
+/**
+ * Find the package in the module directories of roots (from the 'roots' setting) that were not searched.
+ *
+ * @private
+ * @param {string} moduleId           The module id.
+ * @param {Array.<string>} searched   The directories searched.
+ * @param {Array.<string>|string} [moduleDirectory]   The module directory names.
+ * @returns {Array.<Object>}          Suggestions in the format {id, reason, path, distance}.
+ */
+function _suggestRoots(moduleId, searched, moduleDirectory) {
+  const {name} = parsePackageId(moduleId);
+  const dirs = makeArray(settings.get('roots') || [])
+    .map(root=>getModuleDirectories(root, moduleDirectory))
+    .reduce((dirs, rootDirs)=>[...dirs, ...rootDirs], [])
+    .filter(dir=>!searched.includes(dir));
+
+  return [...new Set(dirs)]
+    .filter(dir=>_exists(path.join(dir, name)))
+    .map(dir=>({id:path.join(dir, moduleId), reason:'root', path:path.join(dir, name), distance:0}));
+}
+
+/**
+ * Get suggestions for a module id that could not be resolved.
+ *
+ * @public
+ * @param {string} moduleId                       The (mapped) module id.
+ * @param {string} basedir                        The directory resolved from.
+ * @param {Object} [options]
+ * @param {Array.<string>} [options.searched=[]]  The module directories searched (for bare ids).
+ * @param {Array.<string>|string} [options.moduleDirectory]   The module directory names.
+ * @returns {Array.<Object>}                      Suggestions in the format {id, reason, path}, best first, where
+ *                                                reason is 'case', 'extension', 'root' or 'typo'.
+ */
+function suggest(moduleId, basedir, {searched=[], moduleDirectory}={}) {
+  const suggestions = [];
+  if (parsePackageId(moduleId)) {
+    suggestions.push(..._suggestPackages(moduleId, searched), ..._suggestRoots(moduleId, searched, moduleDirectory));
+  } else {
+    const filename = path.resolve(basedir, moduleId);
+    const prefix = moduleId.substring(0, moduleId.replace(/\\/g, '/').lastIndexOf('/')+1);
+    suggestions.push(..._suggestInDirectory(path.dirname(filename), path.basename(filename), prefix));
+  }
+
+  const ids = new Set();
+  return suggestions
+    .sort((a, b)=>((order.indexOf(a.reason) - order.indexOf(b.reason)) || (a.distance - b.distance)))
+    .filter(({id})=>(!ids.has(id) && ids.add(id)))
+    .slice(0, MAX_SUGGESTIONS)
+    .map(({id, reason, path})=>({id, reason, path}));
+}
+
+/**
+ * Get the chain of modules leading to a require.  This is the chain of modules still loading, or if the parent has
+ * finished loading, the first route to it in the graph.
+ *
+ * @private
+ * @param {Module|string} [parent]      The module requiring.
+ * @returns {Array.<string>}
+ */
+function _getRequireChain(parent) {
+  const chain = cycles.getChain(parent);
+  if (chain.length !== 1) return chain;
+  return graph.why(chain[0])[0] || chain;
+}
+
+/**
+ * Create a ModuleNotFoundError for a failed resolution, with the directories searched, suggestions and require
+ * chain.  Errors that are not from a module not being found are returned as they are.
+ *
+ * @public
+ * @param {Error} error                 The resolve error.
+ * @param {Resolver} resolver           The resolver used.
+ * @param {string} moduleId             The module id.
+ * @param {string} basedir              The directory resolved from.
+ * @returns {Error}
+ */
+function notFoundError(error, resolver, moduleId, basedir) {
+  if ((error instanceof ModuleNotFoundError) || !error || (error.code !== 'MODULE_NOT_FOUND')) return error;
+
+  let mapped = {id:moduleId, basedir};
+  try {
+    mapped = resolver.map(moduleId, basedir);
+  } catch(err) {}
+  const {moduleDirectory, roots, paths} = resolver.getSearchPaths(mapped.id, mapped.basedir);
+  const searched = (path.isAbsolute(mapped.id) || /^\.{1,2}(?:[\\\/]|$)/.test(mapped.id)) ?
+    [path.dirname(path.resolve(mapped.basedir, mapped.id))] :
+    [...moduleDirectory, ...paths.map(dir=>path.resolve(dir)), ...roots];
+  const parent = (resolver.parent || {}).filename || resolver.parent;
+
+  return new ModuleNotFoundError({
+    moduleId,
+    basedir,
+    parent,
+    searched,
+    suggestions: suggest(mapped.id, mapped.basedir, {searched, moduleDirectory:resolver.moduleDirectory}),
+    requireChain: _getRequireChain(parent)
+  });
+}
+
+module.exports = {
+  suggest, notFoundError
+};
@@ -0,0 +1,229 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const settings = require('./settings');
+const {makeArray, isFunction, isString, matchPath, hash, writeFileAtomicSync} = require('./util');
+const {transformCache} = require('./stores');
+
+let added = 0;
+
+/**
+ * Normalise a transform result into the format {code, map}.
+ *
+ * @private
+ * @param {string|Object} result      The transform result.
+ * @param {Object} previous            The previous result in the chain.
+ * @returns {Object}
+ */
+function _parseResult(result, previous) {
+  if (isString(result)) return {code:result, map:undefined};
+  if (!result || !isString(result.code)) return previous;
+  return {code:result.code, map:result.map};
+}
+
+/**
+ * Run a chain of transforms, synchronously until a transform returns a promise.
+ *
+ * @private
+ * @param {Array.<Transform>} transforms        The transforms to run.
+ * @param {Object} config                       The module config.
+ * @param {Object} result                       The current result in the format {code, map}.
+ * @param {number} [n=0]                        Index of the transform to start from.
+ * @returns {Object|Promise.<Object>}           The final result.
+ */
+function _runChain(transforms, config, result, n=0) {
+  for (; n<transforms.length; n++) {
+    const {transform, options} = transforms[n];
+    const transformed = transform(result.code, {filename:config.filename, map:result.map, config, options});
+    if (transformed && isFunction(transformed.then)) {
+      const previous = result;
+      return transformed.then(transformed=>_runChain(transforms, config, _parseResult(transformed, previous), n+1));
+    }
+    result = _parseResult(transformed, result);
+  }
+  return result;
+}
+
+/**
+ * Get the disk cache path for a given key, if a disk cache is in use.
+ *
+ * @private
+ * @param {string} key                The cache key.
+ * @returns {string|undefined}        The file path.
+ */
+function _getCachePath(key) {
+  const cacheDir = settings.get('transformCacheDir');
+  if (cacheDir) return path.join(cacheDir, `${key}.json`);
+}
+
+/**
+ * Read a cached transform result from disk.
+ *
+ * @private
+ * @param {string} key                The cache key.
+ * @returns {Object|undefined}        The result in the format {code, map}.
+ */
+function _readDiskCache(key) {
+  const cachePath = _getCachePath(key);
+  if (!cachePath) return;
+  try {
+    return JSON.parse(fs.readFileSync(cachePath, 'utf-8'));
+  } catch(err) {}
+}
+
+/**
+ * Write a transform result to the disk cache.
+ *
+ * @private
+ * @param {string} key            The cache key.
+ * @param {Object} result         The result in the format {code, map}.
+ */
+function _writeDiskCache(key, result) {
+  const cachePath = _getCachePath(key);
+  if (cachePath) writeFileAtomicSync(cachePath, JSON.stringify(result));
+}
+
+/**
+ * A single transform in the chain.
+ *
+ * @class
+ */
+class Transform {
+  /**
+   * @param {Function|Object} definition                  The transform function or definition object.
+   * @param {Function} definition.transform               Transform function, receives (source, context) and returns
+   *                                                      the new source, {code, map} or a promise for either.
+   * @param {string} [definition.name]                    Transform name.
+   * @param {Array|string|RegExp|Function} [definition.include]   Only transform paths matching.
+   * @param {Array|string|RegExp|Function} [definition.exclude]   Do not transform paths matching.
+   * @param {number} [definition.priority=0]              Higher priority transforms run first.
+   * @param {*} [definition.options]                      Options for the transform, passed to it as context.options.
+   * @param {string} [definition.cacheKey]                Change this to invalidate cached results.  Defaults to the
+   *                                                      name, options and source of the transform.
+   */
+  constructor(definition) {
+    const {transform, name, include, exclude, priority=0, options, cacheKey} = (isFunction(definition) ?
+      {transform:definition, name:definition.name} :
+      definition
+    );
+    if (!isFunction(transform)) throw new TypeError('Transforms must be functions');
+
+    this.transform = transform;
+    this.name = name || `transform${added}`;
+    this.include = include;
+    this.exclude = exclude;
+    this.priority = priority;
+    this.options = options;
+    this.cacheKey = cacheKey || [this.name, JSON.stringify(options), transform.toString()].join('\0');
+    this.order = added++;
+  }
+
+  /**
+   * Should this transform be applied to the given file?  Globs containing a path are matched against the path
+   * relative to the current working directory.
+   *
+   * @param {string} filename     The file.
+   * @returns {boolean}
+   */
+  applies(filename) {
+    const basedir = process.cwd();
+    if ((this.include !== undefined) && !matchPath(filename, this.include, basedir)) return false;
+    return !((this.exclude !== undefined) && matchPath(filename, this.exclude, basedir));
+  }
+}
+
+/**
+ * Chain of source transforms, run on code before it is evaluated.
+ *
+ * @class
+ */
+class Transforms {
+  constructor() {
+    this.transforms = [];
+  }
+
+  /**
+   * Add a transform to the chain.
+   *
+   * @param {Function|Object} transform     The transform (see Transform).
+   * @param {Object} [options]              Options (include, exclude, priority, name, options, cacheKey) when just
+   *                                        a function is given.
+   * @returns {Transform}
+   */
+  add(transform, options={}) {
+    const _transform = ((transform instanceof Transform) ?
+      transform :
+      new Transform(isFunction(transform) ? Object.assign({transform, name:transform.name}, options) : transform)
+    );
+    this.transforms.push(_transform);
+    return _transform;
+  }
+
+  /**
+   * Remove a transform from the chain.
+   *
+   * @param {string|Function|Transform} transform     The transform, its function or its name.
+   * @returns {boolean}                               Was anything removed?
+   */
+  remove(transform) {
+    const length = this.transforms.length;
+    this.transforms = this.transforms.filter(_transform=>
+      (_transform !== transform) && (_transform.transform !== transform) && (_transform.name !== transform)
+    );
+    return (length !== this.transforms.length);
+  }
+
+  /**
+   * Get the transforms to run on a given file, in the order they will run.  Transforms set on the resolver run after
+   * the global ones with the same priority.
+   *
+   * @param {string} filename                   The file to get for.
+   * @param {Array} [resolverTransforms=[]]     Transforms from the resolver.
+   * @returns {Array.<Transform>}
+   */
+  get(filename, resolverTransforms=[]) {
+    return [
+      ...this.transforms,
+      ...makeArray(resolverTransforms).map(transform=>((transform instanceof Transform) ? transform : new Transform(transform)))
+    ]
+      .filter(transform=>transform.applies(filename))
+      .map((transform, n)=>[transform, n])
+      .sort(([a, aN], [b, bN])=>((b.priority - a.priority) || (aN - bN)))
+      .map(([transform])=>transform);
+  }
+
+  /**
+   * Run the transform chain on a module config.  Results are cached against a hash of the content and the
+   * transforms used, in memory and optionally on disk (see the 'transformCacheDir' setting).
+   *
+   * @param {Object} config                             The module config.
+   * @returns {Object|Promise.<Object>|undefined}       The result in the format {code, map} or undefined if no
+   *                                                    transforms apply.
+   */
+  apply(config) {
+    const transforms = this.get(config.filename, config.transforms);
+    if (!transforms.length) return;
+
+    const source = config.content.toString();
+    const key = hash([config.filename, source, ...transforms.map(transform=>transform.cacheKey)].join('\0'));
+    if (transformCache.has(key)) return transformCache.get(key);
+    const cached = _readDiskCache(key);
+    if (cached) {
+      transformCache.set(key, cached);
+      return cached;
+    }
+
+    const done = result=>{
+      transformCache.set(key, result);
+      _writeDiskCache(key, result);
+      return result;
+    };
+
+    const result = _runChain(transforms, config, {code:source, map:config.sourceMap});
+    if (isFunction(result.then)) return result.then(done);
+    return done(result);
+  }
+}
+
+module.exports = new Transforms();
@@ -3,6 +3,8 @@
 const settings = require('./settings');
 const {isBoolean, makeArray} = require('./util');
 const {requireAsync, syncRequire} = require('./require');
+const {createAbort, throwIfAborted} = require('./abort');
+const {AbortError} = require('./errors');
 
 /**
  * Load a module or return a default value.  Can take an array to try.  Will load module asynchronously.
@@ -11,17 +13,24 @@ const {requireAsync, syncRequire} = require('./require');
  * @param {string|Array} modulePath             Module path or array of paths.
  * @param {*} [defaultReturnValue=undefined]    The default value to return
  *                                              if module load fails.
+ * @param {Object} [options]                    Options for an async load.
+ * @param {AbortSignal} [options.signal]        Signal to cancel with.
+ * @param {number} [options.timeout]            Timeout in milliseconds for trying all the paths.
  * @returns {Promise.<*>}
  */
-function tryModule(useSync, modulePath, defaultReturnValue) {
-  if (!isBoolean(useSync)) [defaultReturnValue, modulePath, useSync] = [modulePath, useSync, settings.get('useSyncRequire')];
+function tryModule(useSync, modulePath, defaultReturnValue, options={}) {
+  if (!isBoolean(useSync)) {
+    [options, defaultReturnValue, modulePath, useSync] = [defaultReturnValue || {}, modulePath, useSync, settings.get('useSyncRequire')];
+  }
   if (!modulePath) return defaultReturnValue;
   modulePath = makeArray(modulePath);
 
-  return (useSync ?
-    _tryModuleSync(modulePath, defaultReturnValue) :
-    _tryModule(modulePath, defaultReturnValue)
-  );
+  if (useSync) {
+    throwIfAborted(options.signal);
+    return _tryModuleSync(modulePath, defaultReturnValue);
+  }
+  const abort = createAbort(options);
+  return abort.wrap(_tryModule(modulePath, defaultReturnValue, abort.signal));
 }
 
 /**
@@ -31,14 +40,17 @@ function tryModule(useSync, modulePath, defaultReturnValue) {
  * @async
  * @param {Array.<string>} modulePath   Paths to try.
  * @param {*} defaultReturnValue        Default value to return.
+ * @param {AbortSignal} [signal]        Signal to cancel with, aborting is not treated as a failed path.
  * @returns {*}
  */
-async function _tryModule(modulePath, defaultReturnValue) {
+async function _tryModule(modulePath, defaultReturnValue, signal) {
   try {
-    return await requireAsync({squashErrors:true}, modulePath.shift());
-  } catch (err) { }
+    return await requireAsync({squashErrors:true, signal}, modulePath.shift());
+  } catch (err) {
+    if (err instanceof AbortError) throw err;
+  }
   if(!modulePath.length) return defaultReturnValue;
-  return _tryModule(modulePath, defaultReturnValue);
+  return _tryModule(modulePath, defaultReturnValue, signal);
 }
 
 /**
@@ -3,6 +3,7 @@
 const path = require('path');
 const callsite = require('callsite');
 const _util = require('util');
+const crypto = require('crypto');
 const lodash = Object.assign(require('./lodash'), require('./fs'));
 
 
@@ -85,6 +86,20 @@ lodash.getCallingDir = function getCallingDir(resolveTo) {
   if (filename) return path.resolve(...[path.dirname(filename), ...lodash.makeArray(resolveTo)]);
 };
 
+/**
+ * Get the directory of the first file in the stack outside this module (ie. the user code calling requireX).
+ *
+ * @public
+ * @returns {string|undefined}      Directory path.
+ */
+lodash.getExternalCallingDir = function getExternalCallingDir() {
+  const rootIndex = path.resolve(__dirname, '../index.js');
+  const filename = callsite()
+    .map(site=>site.getFileName())
+    .find(filename=>(filename && path.isAbsolute(filename) && (path.dirname(filename) !== __dirname) && (filename !== rootIndex)));
+  if (filename) return path.dirname(filename);
+};
+
 /**
  * Get all the property names (including inherited) of the given object.
  *
@@ -173,6 +188,61 @@ lodash.createLopAddIterator = function* createLopAddIterator(path, addition) {
   yield path;
 };
 
+/**
+ * Convert a glob into a regular expression.  Supports *, ** and ? wildcards.  Globs without a path separator are
+ * matched against the basename of paths.
+ *
+ * @public
+ * @param {string} glob     The glob to convert.
+ * @returns {RegExp}        Regular expression matching the glob.
+ */
+lodash.globToRegExp = function globToRegExp(glob) {
+  const source = glob.split(/(\*\*\/?|\*|\?)/).map(part=>{
+    if ((part === '**') || (part === '**/')) return '(?:.*/)?' + ((part === '**') ? '.*' : '');
+    if (part === '*') return '[^/]*';
+    if (part === '?') return '[^/]';
+    return lodash.escapeRegExp(part);
+  }).join('');
+
+  return new RegExp(((glob.indexOf('/') === -1) ? '(?:^|/)' : '^') + source + '$');
+};
+
+/**
+ * Does the given path match any of the given patterns?  Patterns can be globs, regular expressions or functions.
+ * When a basedir is given, globs that are not absolute are matched against the path relative to it.
+ *
+ * @public
+ * @param {string} filePath                                     The path to test.
+ * @param {Array|string|RegExp|Function} patterns               The patterns to test against.
+ * @param {string} [basedir]                                    Directory relative globs are matched from.
+ * @returns {boolean}
+ */
+lodash.matchPath = function matchPath(filePath, patterns, basedir) {
+  const _filePath = filePath.split(path.sep).join('/');
+  const relativePath = ((basedir && path.isAbsolute(filePath)) ?
+    path.relative(basedir, filePath).split(path.sep).join('/') :
+    _filePath
+  );
+  return lodash.makeArray(patterns).some(pattern=>{
+    if (lodash.isFunction(pattern)) return !!pattern(filePath);
+    if (lodash.isRegExp(pattern)) return pattern.test(_filePath);
+    return lodash.globToRegExp(pattern).test(path.isAbsolute(pattern) ? _filePath : relativePath);
+  });
+};
+
+/**
+ * Get the hash of some content.
+ *
+ * @public
+ * @param {string|Buffer} content           The content to hash.
+ * @param {string} [algorithm='sha1']       The hash algorithm.
+ * @param {string} [encoding='hex']         The output encoding.
+ * @returns {string}                        The hash.
+ */
+lodash.hash = function hash(content, algorithm='sha1', encoding='hex') {
+  return crypto.createHash(algorithm).update(content).digest(encoding);
+};
+
 /**
  * Get the global require or local one if no global found.
  *
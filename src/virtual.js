@@ -0,0 +1,200 @@
+'use strict';
+
+const path = require('path');
+const settings = require('./settings');
+const cache = require('./cache');
+const graph = require('./graph');
+const loaders = require('./loaders');
+const {isString, makeArray, getExternalCallingDir} = require('./util');
+const {fileCache, esmCache, resolveCache} = require('./stores');
+
+/**
+ * Get the path for a virtual module.  Absolute paths are used as they are, relative ids are resolved from basedir and
+ * bare ids are put in the module directory of basedir, so they are found like a package.  The extension is added if
+ * the id does not have one.
+ *
+ * @private
+ * @param {string} id               The module id or path.
+ * @param {string} extension        Extension to add.
+ * @param {string} basedir          Directory for relative and bare ids.
+ * @returns {string}                The path.
+ */
+function _getFilename(id, extension, basedir) {
+  const moduleDirectory = makeArray(settings.get('moduleDirectory'))[0] || 'node_modules';
+  const filename = (path.isAbsolute(id) ?
+    path.normalize(id) :
+    (/^\.{1,2}[\\\/]/.test(id) ? path.resolve(basedir, id) : path.resolve(basedir, moduleDirectory, id))
+  );
+  if (path.extname(filename)) return filename;
+  return `${filename}${(extension.charAt(0) === '.') ? '' : '.'}${extension}`;
+}
+
+/**
+ * Remove a virtual module and anything depending on it from the module cache and file cache, so they are loaded
+ * again with the new content.
+ *
+ * @private
+ * @param {string} filename     The virtual module.
+ */
+function _evict(filename) {
+  [filename, ...graph.dependents(filename)].forEach(filename=>{
+    cache.delete(filename);
+    esmCache.delete(filename);
+    fileCache.delete(filename);
+  });
+}
+
+/**
+ * Remove any resolutions to the given file from the resolve cache, so the removed virtual module is not returned.
+ * Failed resolutions are never cached, so a new virtual module is found without clearing anything.
+ *
+ * @private
+ * @param {string} filename     The virtual module.
+ * @param {Map} [store]         The (sub) store to look in.
+ */
+function _clearResolutions(filename, store=resolveCache) {
+  store.forEach((value, key)=>{
+    if (value instanceof Map) {
+      _clearResolutions(filename, value);
+      if (!value.size) store.delete(key);
+    } else if (Array.isArray(value) && (value[1] === filename)) {
+      store.delete(key);
+    }
+  });
+}
+
+/**
+ * Registry of in-memory modules.  These are found by the Resolver, read from memory and evaluated like any file.
+ *
+ * @class
+ */
+class VirtualModules {
+  constructor() {
+    this.modules = new Map();
+  }
+
+  /**
+   * Define a virtual module.  Defining the same path again replaces it, clearing it (and anything depending on it)
+   * from the cache.
+   *
+   * @param {string} id                               Module id or path (relative paths are from basedir).
+   * @param {string|Buffer|*} sourceOrExports         Source to evaluate (as a file with the given extension) or the
+   *                                                  exports to use.
+   * @param {Object} [options]
+   * @param {string} [options.extension='.js']        Extension to give the module, if the id does not have one.
+   * @param {string} [options.basedir]                Directory for relative and bare ids, defaults to the calling
+   *                                                  directory.
+   * @returns {string}                                The path of the virtual module.
+   */
+  define(id, sourceOrExports, {extension='.js', basedir}={}) {
+    if (!isString(id)) throw new TypeError('Virtual modules need an id or path');
+    const filename = _getFilename(id, extension, basedir || getExternalCallingDir() || process.cwd());
+    const isSource = (isString(sourceOrExports) || Buffer.isBuffer(sourceOrExports));
+
+    this.modules.set(filename, isSource ?
+      {filename, content:Buffer.from(sourceOrExports)} :
+      {filename, content:Buffer.alloc(0), exports:sourceOrExports}
+    );
+    _evict(filename);
+    _clearResolutions(filename);
+    return filename;
+  }
+
+  /**
+   * Remove a virtual module.
+   *
+   * @param {string} id                               Module id or path, as given to define().
+   * @param {Object} [options]                        The options given to define().
+   * @returns {boolean}                               Was it removed?
+   */
+  undefine(id, {extension='.js', basedir}={}) {
+    const filename = _getFilename(id, extension, basedir || getExternalCallingDir() || process.cwd());
+    if (!this.modules.delete(filename)) return false;
+    _evict(filename);
+    _clearResolutions(filename);
+    return true;
+  }
+
+  /**
+   * Is there a virtual module at the given path?
+   *
+   * @param {string} filename     The path.
+   * @returns {boolean}
+   */
+  has(filename) {
+    return this.modules.has(filename);
+  }
+
+  /**
+   * Get the content of a virtual module.
+   *
+   * @param {string} filename       The path.
+   * @returns {Buffer|undefined}
+   */
+  read(filename) {
+    if (this.modules.has(filename)) return this.modules.get(filename).content;
+  }
+
+  /**
+   * Was the virtual module at the given path defined with exports rather than source?
+   *
+   * @param {string} filename     The path.
+   * @returns {boolean}
+   */
+  hasExports(filename) {
+    return (this.modules.has(filename) && ('exports' in this.modules.get(filename)));
+  }
+
+  /**
+   * Get the exports of a virtual module defined with exports.
+   *
+   * @param {string} filename     The path.
+   * @returns {*}
+   */
+  getExports(filename) {
+    if (this.hasExports(filename)) return this.modules.get(filename).exports;
+  }
+
+  /**
+   * Is the given path a directory containing virtual modules?
+   *
+   * @param {string} dir          The directory.
+   * @returns {boolean}
+   */
+  isDirectory(dir) {
+    const _dir = `${path.resolve(dir)}${path.sep}`;
+    return [...this.modules.keys()].some(filename=>filename.startsWith(_dir));
+  }
+
+  /**
+   * List the virtual modules (and directories containing them) directly in a directory.
+   *
+   * @param {string} dir                The directory.
+   * @returns {Array.<string>}          The names.
+   */
+  list(dir) {
+    const _dir = `${path.resolve(dir)}${path.sep}`;
+    return [...new Set([...this.modules.keys()]
+      .filter(filename=>filename.startsWith(_dir))
+      .map(filename=>filename.substring(_dir.length).split(path.sep)[0])
+    )];
+  }
+
+  /**
+   * Remove all virtual modules.
+   */
+  clear() {
+    [...this.modules.keys()].forEach(filename=>this.undefine(filename));
+  }
+}
+
+const virtual = new VirtualModules();
+
+loaders.register({
+  name: 'virtual',
+  priority: 100,
+  test: filename=>virtual.hasExports(filename),
+  load: (content, config)=>virtual.getExports(config.filename)
+});
+
+module.exports = virtual;
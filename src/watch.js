@@ -0,0 +1,326 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const settings = require('./settings');
+const cache = require('./cache');
+const graph = require('./graph');
+const emitter = require('./events');
+const {makeArray, isFunction} = require('./util');
+const {
+  fileCache, statCache, lStatCache, statFile, statDir, resolveCache, readDirCache, esmCache
+} = require('./stores');
+
+const hotRecords = new Map();
+let watcher;
+
+/**
+ * Remove any entries in the resolve cache that resolved to the given filename.
+ *
+ * @private
+ * @param {string} filename     The filename to remove.
+ * @param {Map} [store]         The (sub) store to look in.
+ */
+function _invalidateResolveCache(filename, store=resolveCache) {
+  store.forEach((value, key)=>{
+    if (value instanceof Map) {
+      _invalidateResolveCache(filename, value);
+      if (!value.size) store.delete(key);
+    } else if (Array.isArray(value) && (value[1] === filename)) {
+      store.delete(key);
+    }
+  });
+}
+
+/**
+ * Remove the given file from the module cache and all the file stores.
+ *
+ * @private
+ * @param {string} filename     The file to remove.
+ */
+function _invalidate(filename) {
+  cache.delete(filename);
+  esmCache.delete(filename);
+  [fileCache, statCache, lStatCache, statFile, statDir].forEach(store=>store.delete(filename));
+  readDirCache.delete(path.dirname(filename));
+  _invalidateResolveCache(filename);
+}
+
+/**
+ * Get the hot record for the given file.
+ *
+ * @private
+ * @param {string} filename     The file to get for.
+ * @returns {Object}            The record.
+ */
+function _getHotRecord(filename) {
+  if (!hotRecords.has(filename)) hotRecords.set(filename, {accept:new Map(), dispose:[], data:undefined});
+  return hotRecords.get(filename);
+}
+
+/**
+ * Hot module replacement api, available as module.hot when watching.
+ *
+ * @class
+ */
+class Hot {
+  /**
+   * @param {Module} module     The module this is for.
+   */
+  constructor(module) {
+    const record = _getHotRecord(module.filename);
+    this.module = module;
+    this.data = record.data;
+    record.accept.clear();
+    record.dispose = [];
+    record.data = undefined;
+  }
+
+  /**
+   * Accept updates.  Without dependencies the module accepts updates to itself, so modules depending on it are not
+   * reloaded.  With dependencies, changes to those dependencies will not reload this module, the callback is fired
+   * instead.
+   *
+   * @param {string|Array.<string>|Function} [dependencies]     Module ids to accept changes for.
+   * @param {Function} [callback]                               Callback to fire after a reload.
+   */
+  accept(dependencies, callback) {
+    if (isFunction(dependencies) || (dependencies === undefined)) [callback, dependencies] = [dependencies, undefined];
+    const record = _getHotRecord(this.module.filename);
+    const callbackToUse = callback || (()=>{});
+    if (!dependencies) return record.accept.set(this.module.filename, callbackToUse);
+    makeArray(dependencies).forEach(moduleId=>record.accept.set(this.module.require.resolve(moduleId), callbackToUse));
+  }
+
+  /**
+   * Add a handler to fire when this module is being replaced.  The handler receives a data object, which will be
+   * available as module.hot.data in the replacement.
+   *
+   * @param {Function} callback     The handler.
+   */
+  dispose(callback) {
+    _getHotRecord(this.module.filename).dispose.push(callback);
+  }
+
+  /**
+   * Is the module being watched?
+   *
+   * @returns {boolean}
+   */
+  get active() {
+    return !!watcher;
+  }
+}
+
+/**
+ * Watch loaded files for changes, invalidating and reloading them (and their dependents) on change.
+ *
+ * @class
+ */
+class Watcher {
+  /**
+   * @param {Object} [options]                    Watch options.
+   * @param {number} [options.debounce=100]       Milliseconds to wait for changes to settle.
+   * @param {boolean} [options.reload=true]       Reload after invalidating?
+   */
+  constructor({debounce=100, reload=true}={}) {
+    this.debounce = debounce;
+    this.reload = reload;
+    this.watchers = new Map();
+    this.timers = new Map();
+    this.onLoaded = event=>this.add(event.otherTarget || event.target);
+
+    emitter.on('loaded', this.onLoaded);
+    graph.nodes.forEach((node, filename)=>this.add(filename));
+  }
+
+  /**
+   * Start watching the given file.
+   *
+   * @param {string} filename     File to watch.
+   * @returns {boolean}           Was it added?
+   */
+  add(filename) {
+    if (!path.isAbsolute(filename) || this.watchers.has(filename)) return false;
+    try {
+      const fileWatcher = fs.watch(filename, {persistent:false}, eventType=>this._schedule(filename, eventType));
+      fileWatcher.on('error', ()=>this.remove(filename));
+      this.watchers.set(filename, fileWatcher);
+      return true;
+    } catch(err) {
+      return false;
+    }
+  }
+
+  /**
+   * Stop watching the given file.
+   *
+   * @param {string} filename     File to stop watching.
+   * @returns {boolean}           Was it removed?
+   */
+  remove(filename) {
+    if (!this.watchers.has(filename)) return false;
+    this.watchers.get(filename).close();
+    return this.watchers.delete(filename);
+  }
+
+  /**
+   * The files currently being watched.
+   *
+   * @returns {Array.<string>}
+   */
+  get files() {
+    return [...this.watchers.keys()];
+  }
+
+  /**
+   * Debounce change events for a file.
+   *
+   * @private
+   * @param {string} filename     The file changed.
+   * @param {string} eventType    The fs.watch() event type.
+   */
+  _schedule(filename, eventType) {
+    if (this.timers.has(filename)) clearTimeout(this.timers.get(filename));
+    const timer = setTimeout(()=>{
+      this.timers.delete(filename);
+      if (eventType === 'rename') { // Editors often save by replacing the file.
+        this.remove(filename);
+        this.add(filename);
+      }
+      this.change(filename, eventType).then(undefined, error=>emitter.emit('error', new emitter.Error({target:filename, error})));
+    }, this.debounce);
+    if (timer.unref) timer.unref();
+    this.timers.set(filename, timer);
+  }
+
+  /**
+   * Work out what needs invalidating when a file changes, stopping at modules that accept the change.
+   *
+   * @private
+   * @param {string} filename     The changed file.
+   * @returns {Object}            Object in the format {invalidate, callbacks}.
+   */
+  _getUpdates(filename) {
+    const invalidate = [];
+    const callbacks = [];
+    const queue = [filename];
+
+    while (queue.length) {
+      const current = queue.shift();
+      if (invalidate.includes(current)) continue;
+      invalidate.push(current);
+      const record = hotRecords.get(current);
+      if (record && record.accept.has(current)) {
+        callbacks.push([current, record.accept.get(current)]);
+        continue;
+      }
+      (graph.get(current) || {parents:[]}).parents.forEach(parent=>{
+        const parentRecord = hotRecords.get(parent);
+        if (parentRecord && parentRecord.accept.has(current)) return callbacks.push([current, parentRecord.accept.get(current)]);
+        queue.push(parent);
+      });
+    }
+
+    return {invalidate, callbacks};
+  }
+
+  /**
+   * Handle a change to a file, invalidating it and its dependents then reloading.  Errors from change listeners,
+   * dispose handlers, reloading or accept callbacks are given as the error of the reloaded event.
+   *
+   * @param {string} filename                 The changed file.
+   * @param {string} [eventType='change']     The fs.watch() event type.
+   * @returns {Promise.<Array.<string>>}      The reloaded files.
+   */
+  async change(filename, eventType='change') {
+    const time = process.hrtime();
+    const reloaded = [];
+    let error;
+    try {
+      await this._update(filename, eventType, reloaded);
+    } catch(err) {
+      error = err;
+    }
+
+    await emitter.emit('reloaded', new emitter.Reloaded({target:filename, reloaded, duration:process.hrtime(time), error}));
+    return reloaded;
+  }
+
+  /**
+   * Invalidate a changed file and its dependents, then reload them and fire the accept callbacks.
+   *
+   * @private
+   * @param {string} filename                 The changed file.
+   * @param {string} eventType                The fs.watch() event type.
+   * @param {Array.<string>} reloaded         Array to add the reloaded files to.
+   * @returns {Promise}
+   */
+  async _update(filename, eventType, reloaded) {
+    const {invalidate, callbacks} = this._getUpdates(filename);
+    await emitter.emit('change', new emitter.Change({target:filename, eventType, dependents:invalidate.slice(1)}));
+
+    const parents = new Map(invalidate.map(target=>[target, (graph.get(target) || {parents:[]}).parents[0]]));
+    invalidate.forEach(target=>{
+      const record = _getHotRecord(target);
+      const data = {};
+      record.dispose.forEach(dispose=>dispose(data));
+      record.data = data;
+      _invalidate(target);
+    });
+
+    if (!this.reload) return;
+    const {requireAsync} = require('./require');
+    for (const target of invalidate) {
+      if (cache.has(target) || !fs.existsSync(target)) continue;
+      await requireAsync({basedir:path.dirname(target), parent:parents.get(target)}, target);
+      reloaded.push(target);
+    }
+    for (const [target, callback] of callbacks) await callback(cache.has(target) ? cache.get(target).exports : undefined);
+  }
+
+  /**
+   * Stop watching all files.
+   */
+  close() {
+    emitter.removeListener('loaded', this.onLoaded);
+    this.timers.forEach(timer=>clearTimeout(timer));
+    this.timers.clear();
+    this.watchers.forEach(fileWatcher=>fileWatcher.close());
+    this.watchers.clear();
+    if (watcher === this) watcher = undefined;
+    settings.set('hot', false);
+  }
+}
+
+/**
+ * Start watching loaded files.  Only one watcher runs at a time, so calling this again returns the current one.
+ *
+ * @public
+ * @param {Object} [options]                    Watch options.
+ * @param {number} [options.debounce=100]       Milliseconds to wait for changes to settle.
+ * @param {boolean} [options.reload=true]       Reload after invalidating?
+ * @returns {Watcher}
+ */
+function watch(options) {
+  if (!watcher) {
+    settings.set('hot', true);
+    watcher = new Watcher(options);
+  }
+  return watcher;
+}
+
+/**
+ * Create the module.hot object for the given module.
+ *
+ * @public
+ * @param {Module} module     The module.
+ * @returns {Hot}
+ */
+function createHot(module) {
+  return new Hot(module);
+}
+
+module.exports = {
+  watch, createHot, Watcher, Hot
+};
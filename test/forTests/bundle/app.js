@@ -0,0 +1,8 @@
+'use strict';
+
+const os = require('os');
+const lib = require('./lib');
+const data = require('./data.json');
+if (false) require('./unused');
+
+module.exports = {testParam:lib.testParam, data, eol:(os.EOL === '\n')};
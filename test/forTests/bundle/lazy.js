@@ -0,0 +1,11 @@
+'use strict';
+
+const lib = require('./lib');
+const answer = require('data:text/javascript,module.exports%20%3D%2042%3B');
+
+module.exports = {
+  testParam: lib.testParam,
+  answer,
+  resolve: id=>require.resolve(id),
+  load: id=>require(id)
+};
@@ -0,0 +1,4 @@
+'use strict';
+
+exports.b = require('./b');
+exports.testParam = 'a';
@@ -0,0 +1,4 @@
+'use strict';
+
+exports.a = require('./a');
+exports.testParam = 'b';
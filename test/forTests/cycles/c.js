@@ -0,0 +1,4 @@
+'use strict';
+
+exports.d = require('./d');
+exports.testParam = 'c';
@@ -0,0 +1,4 @@
+'use strict';
+
+exports.c = require('./c');
+throw new Error('Thrown inside a cycle');
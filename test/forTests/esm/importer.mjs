@@ -0,0 +1,4 @@
+import esm, {testParam} from './testModule1.mjs';
+import cjs from './cjsDependency.js';
+
+export const imported = {esm, testParam, cjs:cjs.testParam};
@@ -0,0 +1,2 @@
+export const testParam = 1;
+export default 'ESM';
@@ -0,0 +1 @@
+export const testParam = 2;
@@ -0,0 +1,6 @@
+'use strict';
+
+module.exports = {
+  db: require('./db'),
+  os: require('os')
+};
@@ -0,0 +1,6 @@
+'use strict';
+
+module.exports = {
+  real:true,
+  query:'real'
+};
@@ -0,0 +1,8 @@
+'use strict';
+
+const dynamic = './c';
+
+module.exports = {
+  b: require('./b'),
+  c: require(dynamic)
+};
@@ -0,0 +1,6 @@
+'use strict';
+
+module.exports = function() {
+  throw new Error('mapped');
+};
+//# sourceMappingURL=compiled.js.map
@@ -1 +1 @@
-/* jshint node: true, mocha: true *//* global chai */'use strict';require(__cwd + 'src/importSettings')('gulp');const testDir = __cwd + gulpSettings.tests;const packageInfo = require(__cwd + 'package.json');const jsDoc = require(testDir + '/forTests/index.json');const expect = require('chai').expect;const path = require('path');const requireX = require(__cwd);/** * Generate a description for a describe clause using the info in an object. * * @private * @param {Object} items        The object to get a description from. * @param {string} [itemName]   If supplied the property of items to get from. * @returns {string} */function describeItem(items, itemName) {  try {    if (itemName) return items[itemName].name + '(): ' + items[itemName].description;    return items.name + ': ' + items.description;  } catch(err) {    return '';  }}describe(describeItem(packageInfo), ()=>{  it('Should export a function with 3 method: resolve, try and getResolver.', ()=>{    expect(requireX).to.be.a('function');    ['resolve', 'try', 'getResolver'].forEach(method=>{      expect(requireX[method]).to.be.a('function');    });  });  describe(describeItem(jsDoc, 'requireAsync'), ()=>{    describe('Should load module asynchronously.', ()=>{      it('Should return the module in node-style callback.', done=>{        requireX(testDir+'/forTests/testModule1.js', (error, testModule1)=>{          expect(testModule1.testParam).to.equal(1);          expect(error).to.equal(null);          done();        });      });      it('Should resolve the module to returned promise.', done=>{        requireX(testDir+'/forTests/testModule1.js').then(testModule1=>{          expect(testModule1.testParam).to.equal(1);          done();        });      });      it('Should load dependant modules.', function(done) {        this.timeout(5000);        requireX(testDir+'/forTests/testModule1-2.js').then(testModule1=>{          expect(testModule1.testParam.testParam).to.equal(2);          done();        });      });      it('Should return an error to node-style callback when module not found.', done=>{        requireX(testDir+'/forTests/testModule-1.js', (error, testModule1)=>{          expect(error).to.not.equal(null);          expect(testModule1).to.equal(undefined);          done();        });      });      it('Should reject the returned promise when module not found.', done=>{        requireX(testDir+'/forTests/testModule-1.js').then(null, error=>{          expect(error).to.not.equal(null);          done();        });      });    });    it('Should reject the promise with error when error occurs in module.', done=>{      requireX(testDir+'/forTests/testModuleWithError.js').then(null, error=>{        expect(error).to.not.equal(null);        done();      });    });    describe('Should load an array of modules asynchronously.', ()=>{      it('Should resolve the modules to returned promise.', done=>{        requireX([          testDir+'/forTests/testModule1.js',          testDir+'/forTests/testModule2.js'        ]).then(modules=>{          const [testModule1, testModule2] = modules;          expect(testModule1.testParam).to.equal(1);          expect(testModule2.testParam).to.equal(2);          done();        });      });      it('Should return modules in callback.', done=>{        requireX([          testDir+'/forTests/testModule1.js',          testDir+'/forTests/testModule2.js'        ], (error, modules)=>{          const [testModule1, testModule2] = modules;          expect(error).to.equal(null);          expect(testModule1.testParam).to.equal(1);          expect(testModule2.testParam).to.equal(2);          done();        });      });    });    describe('Should be able to set the base directory manually.', ()=>{      it('Should be able to set directory to relative path.', done=>{        requireX({          basedir: testDir+'/forTests'        }, './testModule1.js').then(testModule1=>{          expect(testModule1.testParam).to.equal(1);          done();        });      });      it('Should be able to set directory to absolute path.', done=>{        requireX({          basedir: path.resolve(__dirname)        }, '../forTests/testModule1.js').then(testModule1=>{          expect(testModule1.testParam).to.equal(1);          done();        });      });    });    describe('Should load modules from node-modules.', ()=>{      it('Should load a node module.', done=>{        requireX('express').then(express=>{          expect(express.testParam).to.equal('EXPRESS');          done();        });      });      it('Should load a node module when it package.json defines a different main file.', done=>{        requireX('socket.io').then(socket=>{          expect(socket.testParam).to.equal('SOCKET.IO');          done();        });      });      it('Should trace-up the node_module tree to find module.', done=>{        requireX('gulp').then(gulp=>{          expect(gulp.testParam).to.equal('GULP');          done();        });      });      it('Should load the most local module in the node_modules tree.', done=>{        requireX('grunt').then(grunt=>{          expect(grunt.testParam).to.equal('GRUNT-LOCAL');          done();        });      });    });  });  describe(describeItem(jsDoc, 'resolveModulePath'), ()=>{  });  describe(describeItem(jsDoc, 'tryModule'), ()=>{    it('It should return a promise.', ()=>{      expect(requireX.try([testDir+'/forTests/testModule1.js']).constructor.name.toLowerCase()).to.equal('promise');    });    it('It should accept either a string or an array.', ()=>{      expect(requireX.try([testDir+'/forTests/testModule1.js']).constructor.name.toLowerCase()).to.equal('promise');      expect(requireX.try(testDir+'/forTests/testModule1.js').constructor.name.toLowerCase()).to.equal('promise');    });    it('It should return only one module.', done=>{      requireX.try([        testDir+'/forTests/testModule1.js',        testDir+'/forTests/testModule2.js'      ]).then((...params)=>{        expect(params.length).to.equal(1);        expect(params[0]).to.be.an('object');        expect(params[0]).to.not.be.an('array');        done();      });    });    it('It should return the first module that loads.', done=>{      requireX.try([        testDir+'/forTests/testModule6.js',        testDir+'/forTests/testModule5.js',        testDir+'/forTests/testModule4.js',        testDir+'/forTests/testModule3.js',        testDir+'/forTests/testModule2.js'      ]).then((...params)=>{        expect(params.length).to.equal(1);        expect(params[0].testParam).to.equal(2);        done();      });    });    it('If no module loads it should return the user set default.', done=>{      requireX.try([        testDir+'/forTests/testModule6.js',        testDir+'/forTests/testModule5.js',        testDir+'/forTests/testModule4.js'      ], 42).then((...params)=>{        expect(params.length).to.equal(1);        expect(params[0]).to.equal(42);        done();      });    });    it('If no module loads it should return the default of undefined.', done=>{      requireX.try([        testDir+'/forTests/testModule6.js',        testDir+'/forTests/testModule5.js',        testDir+'/forTests/testModule4.js'      ]).then((...params)=>{        expect(params.length).to.equal(1);        expect(params[0]).to.be.undefined;        done();      });    });    it('It should accept a use sync require method.', done=>{      let count = 0;      function isDone() {        count++;        if (count >= 2) done();      }      requireX.try(true, [        testDir+'/forTests/testModule6.js',        testDir+'/forTests/testModule5.js',        testDir+'/forTests/testModule4.js'      ], 42).then((...params)=>{        expect(params.length).to.equal(1);        expect(params[0]).to.equal(42);        isDone();      });      requireX.try(true, testDir+'/forTests/testModule2.js').then((...params)=>{        expect(params[0].testParam).to.equal(2);        isDone();      });    });  });  describe(describeItem(jsDoc, 'getResolver'), ()=>{    const resolver = requireX.getResolver();    it('It should return an object with, addExtensions, removeExtensions, resolve, isCoreModule and getState methods.', ()=>{      expect(resolver).to.be.an('object');      expect(resolver).to.have.property('resolve');      expect(resolver).to.have.property('addExtensions');      expect(resolver).to.have.property('getState');      expect(resolver).to.have.property('isCoreModule');      expect(resolver).to.have.property('removeExtensions');      expect(resolver.resolve).to.be.a('function');      expect(resolver.addExtensions).to.be.a('function');      expect(resolver.getState).to.be.a('function');      expect(resolver.isCoreModule).to.be.a('function');      expect(resolver.removeExtensions).to.be.a('function');    });    it('The isCoreModule method should return true for core modules and false for non-core.', ()=>{      expect(resolver.isCoreModule('fs')).to.be.true;      expect(resolver.isCoreModule('http')).to.be.true;      expect(resolver.isCoreModule('gulp')).to.be.false;      expect(resolver.isCoreModule('express')).to.be.false;    });    it('The getState() method should return the default options if no changes have been made.', ()=>{      const state = resolver.getState();      expect(state).to.be.an('object');      expect(state.preserveSymlinks).to.be.false;      expect(state.moduleDirectory).to.equal('node_modules');      expect(state.extensions).to.deep.equal(['.js', '.json', '.node']);    });    it('Adding an extension via addExtension() should add to the extensions.', ()=>{      resolver.addExtensions('.jpg', '.png');      expect(resolver.getState().extensions).to.deep.equal(['.js', '.json', '.node', '.jpg', '.png']);      expect(resolver.addExtensions()).to.be.an('array');    });    it('Removing an extension via removeExtension() should remove it.', ()=>{      resolver.removeExtensions('.jpg', '.png');      expect(resolver.getState().extensions).to.deep.equal(['.js', '.json', '.node']);    });  });  describe(describeItem(jsDoc, 'import'), function(){    this.timeout(5000);    it('It should return a promise.', ()=>{      expect(requireX.import(testDir+'/forTests2').constructor.name.toLowerCase()).to.equal('promise');    });    it('Should load all modules in directory and return them as object with keys equal to filenames.', done=>{      requireX.import(testDir+'/forTests2').then(modules=>{        expect(modules).to.deep.equal({          testModule1: { testParam: 1 },          testModule3: { testParam: 3 },          testModule2: { testParam: 2 },          testModule5: { testParam: 5 },          testModule4: { testParam: 4 }        });        done();      });    });    it('Should load all modules from an array of directories.', done=>{      requireX.import([testDir+'/forTests2', testDir+'/forTests3']).then(modules=>{        delete modules.index;        expect(modules).to.deep.equal({          testModule1: { testParam1: 1 },          testModule3: { testParam3: 6 },          testModule2: { testParam2: 2 },          testModule4: { testParam: 4 },          testModule5: { testParam: 5 }        });        done();      });    });    it('Should load all modules in directory but not self.', done=>{      const importer = require(testDir + '/forTests3');      importer(requireX.import).then(modules=> {        expect(modules).to.deep.equal({          testModule1: { testParam1: 1 },          testModule3: { testParam3: 6 },          testModule2: { testParam2: 2 }        });        done();      });    });    it('Should merge properties together if merge option set to true.', done=>{      requireX.import(testDir+'/forTests3', {merge:true}).then(modules=>{        delete modules.index;        expect(modules).to.deep.equal({testParam1:1, testParam3:6, testParam2:2});        done();      });    });    it('Should load modules into given imports object.', done=>{      const imports = {};      requireX.import([testDir+'/forTests2', testDir+'/forTests3'], {imports}).then(modules=>{        expect(modules).to.deep.equal(imports);        done();      });    });    describe('Should fire onload on each module load if onload option is set', ()=>{      it('The onload method fire exactly once for each module load.', done=>{        let counter = 0;        requireX.import(testDir+'/forTests2', {onload: ()=>{          counter++;        }}).then(()=>{          expect(counter).to.equal(5);          done();        });      });      it('The onload method should receive filename and module as parameters.', done=>{        const tests = {          'testModule1.js': {testParam:1},          'testModule2.js': {testParam:2},          'testModule3.js': {testParam:3},          'testModule4.js': {testParam:4},          'testModule5.js': {testParam:5}        };        requireX.import(testDir+'/forTests2', {onload: (filepath, module)=>{          const filename = filepath.split('/').pop();          expect(module).to.deep.equal(tests[filename]);        }}).then(()=>done());      });    });  });});
\ No newline at end of file
+/* jshint node: true, mocha: true *//* global chai */'use strict';require(__cwd + 'src/importSettings')('gulp');const testDir = __cwd + gulpSettings.tests;const packageInfo = require(__cwd + 'package.json');const jsDoc = require(testDir + '/forTests/index.json');const expect = require('chai').expect;const path = require('path');const requireX = require(__cwd);/** * Generate a description for a describe clause using the info in an object. * * @private * @param {Object} items        The object to get a description from. * @param {string} [itemName]   If supplied the property of items to get from. * @returns {string} */function describeItem(items, itemName) {  try {    if (itemName) return items[itemName].name + '(): ' + items[itemName].description;    return items.name + ': ' + items.description;  } catch(err) {    return '';  }}describe(describeItem(packageInfo), ()=>{  it('Should export a function with 3 method: resolve, try and getResolver.', ()=>{    expect(requireX).to.be.a('function');    ['resolve', 'try', 'getResolver'].forEach(method=>{      expect(requireX[method]).to.be.a('function');    });  });  describe(describeItem(jsDoc, 'requireAsync'), ()=>{    describe('Should load module asynchronously.', ()=>{      it('Should return the module in node-style callback.', done=>{        requireX(testDir+'/forTests/testModule1.js', (error, testModule1)=>{          expect(testModule1.testParam).to.equal(1);          expect(error).to.equal(null);          done();        });      });      it('Should resolve the module to returned promise.', done=>{        requireX(testDir+'/forTests/testModule1.js').then(testModule1=>{          expect(testModule1.testParam).to.equal(1);          done();        });      });      it('Should load dependant modules.', function(done) {        this.timeout(5000);        requireX(testDir+'/forTests/testModule1-2.js').then(testModule1=>{          expect(testModule1.testParam.testParam).to.equal(2);          done();        });      });      it('Should return an error to node-style callback when module not found.', done=>{        requireX(testDir+'/forTests/testModule-1.js', (error, testModule1)=>{          expect(error).to.not.equal(null);          expect(testModule1).to.equal(undefined);          done();        });      });      it('Should reject the returned promise when module not found.', done=>{        requireX(testDir+'/forTests/testModule-1.js').then(null, error=>{          expect(error).to.not.equal(null);          done();        });      });    });    it('Should reject the promise with error when error occurs in module.', done=>{      requireX(testDir+'/forTests/testModuleWithError.js').then(null, error=>{        expect(error).to.not.equal(null);        done();      });    });    describe('Should load an array of modules asynchronously.', ()=>{      it('Should resolve the modules to returned promise.', done=>{        requireX([          testDir+'/forTests/testModule1.js',          testDir+'/forTests/testModule2.js'        ]).then(modules=>{          const [testModule1, testModule2] = modules;          expect(testModule1.testParam).to.equal(1);          expect(testModule2.testParam).to.equal(2);          done();        });      });      it('Should return modules in callback.', done=>{        requireX([          testDir+'/forTests/testModule1.js',          testDir+'/forTests/testModule2.js'        ], (error, modules)=>{          const [testModule1, testModule2] = modules;          expect(error).to.equal(null);          expect(testModule1.testParam).to.equal(1);          expect(testModule2.testParam).to.equal(2);          done();        });      });    });    describe('Should be able to set the base directory manually.', ()=>{      it('Should be able to set directory to relative path.', done=>{        requireX({          basedir: testDir+'/forTests'        }, './testModule1.js').then(testModule1=>{          expect(testModule1.testParam).to.equal(1);          done();        });      });      it('Should be able to set directory to absolute path.', done=>{        requireX({          basedir: path.resolve(__dirname)        }, '../forTests/testModule1.js').then(testModule1=>{          expect(testModule1.testParam).to.equal(1);          done();        });      });    });    describe('Should load modules from node-modules.', ()=>{      it('Should load a node module.', done=>{        requireX('express').then(express=>{          expect(express.testParam).to.equal('EXPRESS');          done();        });      });      it('Should load a node module when it package.json defines a different main file.', done=>{        requireX('socket.io').then(socket=>{          expect(socket.testParam).to.equal('SOCKET.IO');          done();        });      });      it('Should trace-up the node_module tree to find module.', done=>{        requireX('gulp').then(gulp=>{          expect(gulp.testParam).to.equal('GULP');          done();        });      });      it('Should load the most local module in the node_modules tree.', done=>{        requireX('grunt').then(grunt=>{          expect(grunt.testParam).to.equal('GRUNT-LOCAL');          done();        });      });    });  });  describe(describeItem(jsDoc, 'resolveModulePath'), ()=>{  });  describe(describeItem(jsDoc, 'tryModule'), ()=>{    it('It should return a promise.', ()=>{      expect(requireX.try([testDir+'/forTests/testModule1.js']).constructor.name.toLowerCase()).to.equal('promise');    });    it('It should accept either a string or an array.', ()=>{      expect(requireX.try([testDir+'/forTests/testModule1.js']).constructor.name.toLowerCase()).to.equal('promise');      expect(requireX.try(testDir+'/forTests/testModule1.js').constructor.name.toLowerCase()).to.equal('promise');    });    it('It should return only one module.', done=>{      requireX.try([        testDir+'/forTests/testModule1.js',        testDir+'/forTests/testModule2.js'      ]).then((...params)=>{        expect(params.length).to.equal(1);        expect(params[0]).to.be.an('object');        expect(params[0]).to.not.be.an('array');        done();      });    });    it('It should return the first module that loads.', done=>{      requireX.try([        testDir+'/forTests/testModule6.js',        testDir+'/forTests/testModule5.js',        testDir+'/forTests/testModule4.js',        testDir+'/forTests/testModule3.js',        testDir+'/forTests/testModule2.js'      ]).then((...params)=>{        expect(params.length).to.equal(1);        expect(params[0].testParam).to.equal(2);        done();      });    });    it('If no module loads it should return the user set default.', done=>{      requireX.try([        testDir+'/forTests/testModule6.js',        testDir+'/forTests/testModule5.js',        testDir+'/forTests/testModule4.js'      ], 42).then((...params)=>{        expect(params.length).to.equal(1);        expect(params[0]).to.equal(42);        done();      });    });    it('If no module loads it should return the default of undefined.', done=>{      requireX.try([        testDir+'/forTests/testModule6.js',        testDir+'/forTests/testModule5.js',        testDir+'/forTests/testModule4.js'      ]).then((...params)=>{        expect(params.length).to.equal(1);        expect(params[0]).to.be.undefined;        done();      });    });    it('It should accept a use sync require method.', done=>{      let count = 0;      function isDone() {        count++;        if (count >= 2) done();      }      requireX.try(true, [        testDir+'/forTests/testModule6.js',        testDir+'/forTests/testModule5.js',        testDir+'/forTests/testModule4.js'      ], 42).then((...params)=>{        expect(params.length).to.equal(1);        expect(params[0]).to.equal(42);        isDone();      });      requireX.try(true, testDir+'/forTests/testModule2.js').then((...params)=>{        expect(params[0].testParam).to.equal(2);        isDone();      });    });  });  describe(describeItem(jsDoc, 'getResolver'), ()=>{    const resolver = requireX.getResolver();    it('It should return an object with, addExtensions, removeExtensions, resolve, isCoreModule and getState methods.', ()=>{      expect(resolver).to.be.an('object');      expect(resolver).to.have.property('resolve');      expect(resolver).to.have.property('addExtensions');      expect(resolver).to.have.property('getState');      expect(resolver).to.have.property('isCoreModule');      expect(resolver).to.have.property('removeExtensions');      expect(resolver.resolve).to.be.a('function');      expect(resolver.addExtensions).to.be.a('function');      expect(resolver.getState).to.be.a('function');      expect(resolver.isCoreModule).to.be.a('function');      expect(resolver.removeExtensions).to.be.a('function');    });    it('The isCoreModule method should return true for core modules and false for non-core.', ()=>{      expect(resolver.isCoreModule('fs')).to.be.true;      expect(resolver.isCoreModule('http')).to.be.true;      expect(resolver.isCoreModule('gulp')).to.be.false;      expect(resolver.isCoreModule('express')).to.be.false;    });    it('The getState() method should return the default options if no changes have been made.', ()=>{      const state = resolver.getState();      expect(state).to.be.an('object');      expect(state.preserveSymlinks).to.be.false;      expect(state.moduleDirectory).to.equal('node_modules');      expect(state.extensions).to.deep.equal(['.js', '.json', '.node', '.mjs', '.json5', '.yaml', '.yml', '.toml', '.ini', '.env']);    });    it('Adding an extension via addExtension() should add to the extensions.', ()=>{      resolver.addExtensions('.jpg', '.png');      expect(resolver.getState().extensions).to.deep.equal(['.js', '.json', '.node', '.mjs', '.json5', '.yaml', '.yml', '.toml', '.ini', '.env', '.jpg', '.png']);      expect(resolver.addExtensions()).to.be.an('array');    });    it('Removing an extension via removeExtension() should remove it.', ()=>{      resolver.removeExtensions('.jpg', '.png');      expect(resolver.getState().extensions).to.deep.equal(['.js', '.json', '.node', '.mjs', '.json5', '.yaml', '.yml', '.toml', '.ini', '.env']);    });  });  describe(describeItem(jsDoc, 'import'), function(){    this.timeout(5000);    it('It should return a promise.', ()=>{      expect(requireX.import(testDir+'/forTests2').constructor.name.toLowerCase()).to.equal('promise');    });    it('Should load all modules in directory and return them as object with keys equal to filenames.', done=>{      requireX.import(testDir+'/forTests2').then(modules=>{        expect(modules).to.deep.equal({          testModule1: { testParam: 1 },          testModule3: { testParam: 3 },          testModule2: { testParam: 2 },          testModule5: { testParam: 5 },          testModule4: { testParam: 4 }        });        done();      });    });    it('Should load all modules from an array of directories.', done=>{      requireX.import([testDir+'/forTests2', testDir+'/forTests3']).then(modules=>{        delete modules.index;        expect(modules).to.deep.equal({          testModule1: { testParam1: 1 },          testModule3: { testParam3: 6 },          testModule2: { testParam2: 2 },          testModule4: { testParam: 4 },          testModule5: { testParam: 5 }        });        done();      });    });    it('Should load all modules in directory but not self.', done=>{      const importer = require(testDir + '/forTests3');      importer(requireX.import).then(modules=> {        expect(modules).to.deep.equal({          testModule1: { testParam1: 1 },          testModule3: { testParam3: 6 },          testModule2: { testParam2: 2 }        });        done();      });    });    it('Should merge properties together if merge option set to true.', done=>{      requireX.import(testDir+'/forTests3', {merge:true}).then(modules=>{        delete modules.index;        expect(modules).to.deep.equal({testParam1:1, testParam3:6, testParam2:2});        done();      });    });    it('Should load modules into given imports object.', done=>{      const imports = {};      requireX.import([testDir+'/forTests2', testDir+'/forTests3'], {imports}).then(modules=>{        expect(modules).to.deep.equal(imports);        done();      });    });    describe('Should fire onload on each module load if onload option is set', ()=>{      it('The onload method fire exactly once for each module load.', done=>{        let counter = 0;        requireX.import(testDir+'/forTests2', {onload: ()=>{          counter++;        }}).then(()=>{          expect(counter).to.equal(5);          done();        });      });      it('The onload method should receive filename and module as parameters.', done=>{        const tests = {          'testModule1.js': {testParam:1},          'testModule2.js': {testParam:2},          'testModule3.js': {testParam:3},          'testModule4.js': {testParam:4},          'testModule5.js': {testParam:5}        };        requireX.import(testDir+'/forTests2', {onload: (filepath, module)=>{          const filename = filepath.split('/').pop();          expect(module).to.deep.equal(tests[filename]);        }}).then(()=>done());      });    });  });  describe('ES modules', ()=>{    const vm = require('vm');    const {execFileSync} = require('child_process');    function importWithVmModules(filename) {      const script = `        const requireX = require(${JSON.stringify(path.resolve(__cwd))});        const reads = {};        requireX.on('loaded', event=>{reads[event.target] = (reads[event.target] || 0) + 1;});        requireX(${JSON.stringify(filename)}).then(namespace=>process.stdout.write(JSON.stringify({namespace, reads})));      `;      const output = execFileSync(process.execPath, ['--experimental-vm-modules', '--no-warnings', '-e', script]);      return JSON.parse(output);    }    it('Should load a .mjs file and return the module namespace.', ()=>{      const {namespace} = importWithVmModules(path.resolve(testDir+'/forTests/esm/testModule1.mjs'));      expect(namespace).to.deep.equal({default:'ESM', testParam:1});    });    it('Should load .js files as ES modules inside a package with "type": "module".', ()=>{      const {namespace} = importWithVmModules(path.resolve(testDir+'/forTests/esm/typeModule/index.js'));      expect(namespace.testParam).to.equal(2);    });    it('Should link ES and CommonJS imports through requireX, reading each file once.', ()=>{      const cjsDependency = path.resolve(testDir+'/forTests/esm/cjsDependency.js');      const {namespace, reads} = importWithVmModules(path.resolve(testDir+'/forTests/esm/importer.mjs'));      expect(namespace.imported).to.deep.equal({esm:'ESM', testParam:1, cjs:'CJS'});      expect(reads[cjsDependency]).to.equal(1);      expect(reads[path.resolve(testDir+'/forTests/esm/testModule1.mjs')]).to.equal(1);    });    it('Should reject with ERR_VM_MODULES_UNAVAILABLE when node is run without --experimental-vm-modules.', function() {      if (vm.SourceTextModule) this.skip();      return requireX(testDir+'/forTests/esm/importer.mjs').then(()=>{        throw new Error('Expected the import to reject');      }, error=>{        expect(error.code).to.equal('ERR_VM_MODULES_UNAVAILABLE');      });    });    it('Should resolve .mjs files without an extension.', ()=>{      return requireX.resolveAsync({basedir:testDir+'/forTests/esm'}, './testModule1').then(filename=>{        expect(filename).to.equal(path.resolve(testDir+'/forTests/esm/testModule1.mjs'));      });    });    it('Should throw ERR_REQUIRE_ESM when an ES module is required synchronously.', ()=>{      expect(()=>requireX.sync(testDir+'/forTests/esm/testModule2.mjs')).to.throw().with.property('code', 'ERR_REQUIRE_ESM');    });  });  describe('Data loaders', ()=>{    const dataDir = testDir+'/forTests/data';    it('Should load YAML, JSON5, TOML, INI and .env files.', ()=>{      return requireX([        dataDir+'/settings.yaml',        dataDir+'/options.json5',        dataDir+'/server.toml',        dataDir+'/database.ini',        dataDir+'/.env'      ]).then(([yaml, json5, toml, ini, env])=>{        expect(yaml).to.deep.equal({testParam:1, list:['a', 'b']});        expect(json5).to.deep.equal({testParam:2});        expect(toml.testParam).to.equal(3);        expect(toml.section.name).to.equal('toml');        expect(ini).to.deep.equal({testParam:'4', section:{name:'ini'}});        expect(env).to.deep.equal({TEST_PARAM:'5'});      });    });    it('Should reject with a ParseError giving the file and line when a data file cannot be parsed.', ()=>{      return requireX(dataDir+'/broken/broken.yaml').then(()=>{        throw new Error('Expected a ParseError');      }, error=>{        expect(error.name).to.equal('ParseError');        expect(error.code).to.equal('ERR_PARSE');        expect(error.filename).to.equal(path.resolve(dataDir+'/broken/broken.yaml'));        expect(error.line).to.be.a('number');      });    });    it('Should add data file extensions to the extensions setting, so they resolve without an extension.', ()=>{      expect(requireX.get('extensions')).to.include.members(['.json5', '.yaml', '.yml', '.toml', '.ini', '.env']);      return requireX({basedir:dataDir}, './server').then(server=>{        expect(server.testParam).to.equal(3);      });    });    it('Should import data files in directory imports.', ()=>{      return requireX.import(dataDir).then(modules=>{        expect(modules.settings).to.deep.equal({testParam:1, list:['a', 'b']});        expect(modules.options).to.deep.equal({testParam:2});        expect(modules.server.testParam).to.equal(3);        expect(modules.database).to.deep.equal({testParam:'4', section:{name:'ini'}});        expect(modules['.env']).to.deep.equal({TEST_PARAM:'5'});        expect(modules.module).to.deep.equal({testParam:6});      });    });  });  describe('Dependency graph', ()=>{    const graphDir = path.resolve(testDir+'/forTests/graph');    const [a, b, c] = ['a.js', 'b.js', 'c.js'].map(filename=>path.join(graphDir, filename));    before(()=>requireX(a));    it('Should record each module loaded with its parents and children.', ()=>{      const graph = requireX.graph();      expect(graph.get(a).children).to.include(b);      expect(graph.get(b).parents).to.deep.equal([a]);      expect(graph.get(b).children).to.deep.equal([c]);      expect(graph.getEdge(b, c).requests).to.deep.equal(['./c']);    });    it('Should return the dependencies and dependents of a module.', ()=>{      const graph = requireX.graph();      expect(graph.dependencies(a)).to.include.members([b, c]);      expect(graph.dependents(c)).to.include.members([a, b]);    });    it('Should explain why a module was loaded.', ()=>{      const chains = requireX.graph().why(c);      expect(chains.length).to.be.above(0);      chains.forEach(chain=>expect(chain.slice(-3)).to.deep.equal([a, b, c]));    });    it('Should explain modules only reachable from a cycle, starting at the first module of the cycle.', ()=>{      const graph = requireX.graph();      const [main, lib, util] = ['graph:main', 'graph:lib', 'graph:util'];      graph.addEdge(undefined, main);      graph.addEdge(main, lib);      graph.addEdge(lib, main);      graph.addEdge(lib, util);      try {        expect(graph.why(util)).to.deep.equal([[main, lib, util]]);        expect(graph.why(lib)).to.deep.equal([[main, lib]]);        expect(graph.why(main)).to.deep.equal([[main]]);      } finally {        [main, lib, util].forEach(id=>graph.delete(id));      }    });    it('Should export the graph as JSON, DOT and Mermaid.', ()=>{      const graph = requireX.graph();      const edge = graph.toJSON().edges.find(({from, to})=>((from === b) && (to === c)));      expect(edge.requests).to.deep.equal(['./c']);      expect(edge.types).to.include('require');      expect(graph.toDot({basedir:graphDir})).to.contain('"a.js" -> "b.js";');      expect(graph.toMermaid({basedir:graphDir})).to.match(/^graph TD\n/);    });  });  describe('Watching and hot reloading', ()=>{    const fs = require('fs');    const os = require('os');    let watcher;    let tmpDir;    function writeModule(filename, source) {      fs.writeFileSync(path.join(tmpDir, filename), `'use strict';\n\n${source}\n`);      return path.join(tmpDir, filename);    }    beforeEach(()=>{      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'require-extra-watch-'));      watcher = requireX.watch({debounce:0});    });    afterEach(()=>{      watcher.close();      fs.rmSync(tmpDir, {recursive:true, force:true});    });    it('Should watch loaded files and reload a changed file and its dependents.', ()=>{      const child = writeModule('child.js', 'module.exports = {testParam:1};');      const parent = writeModule('parent.js', "module.exports = {testParam: require('./child').testParam};");      return requireX(parent).then(exports=>{        expect(exports.testParam).to.equal(1);        expect(watcher.files).to.include.members([parent, child]);        writeModule('child.js', 'module.exports = {testParam:2};');        return watcher.change(child);      }).then(reloaded=>{        expect(reloaded).to.include.members([child, parent]);        return requireX(parent);      }).then(exports=>expect(exports.testParam).to.equal(2));    });    it('Should not reload the dependents of a module that accepts its own changes.', ()=>{      const child = writeModule('child.js', 'module.hot.accept();\nmodule.exports = {testParam:1};');      const parent = writeModule('parent.js', "module.exports = {testParam: require('./child').testParam};");      return requireX(parent).then(()=>watcher.change(child)).then(reloaded=>{        expect(reloaded).to.deep.equal([child]);      });    });    it('Should give errors thrown by dispose handlers as the error of the reloaded event.', ()=>{      const unhandled = [];      const onUnhandled = error=>unhandled.push(error);      const child = writeModule('child.js', "module.hot.dispose(()=>{throw new Error('dispose failed');});\nmodule.exports = {};");      process.on('unhandledRejection', onUnhandled);      return requireX(child).then(()=>new Promise(resolve=>{        requireX.once('reloaded', resolve);        watcher._schedule(child, 'change');      })).then(event=>{        expect(event.error.message).to.equal('dispose failed');        return new Promise(resolve=>setImmediate(resolve));      }).then(()=>{        process.removeListener('unhandledRejection', onUnhandled);        expect(unhandled).to.deep.equal([]);      });    });    it('Should give errors thrown by accept callbacks as the error of the reloaded event.', ()=>{      const child = writeModule('child.js', 'module.exports = {testParam:1};');      const parent = writeModule('parent.js', "module.hot.accept('./child', ()=>{throw new Error('accept failed');});\nrequire('./child');");      let event;      const onReloaded = _event=>{event = _event;};      requireX.on('reloaded', onReloaded);      return requireX(parent).then(()=>watcher.change(child)).then(reloaded=>{        requireX.removeListener('reloaded', onReloaded);        expect(reloaded).to.deep.equal([child]);        expect(event.error.message).to.equal('accept failed');      });    });  });  describe('Prefetching child requires', ()=>{    const prefetchDir = path.resolve(testDir+'/forTests/prefetch');    const [a, b, c] = ['a.js', 'b.js', 'c.js'].map(filename=>path.join(prefetchDir, filename));    it('Should read the static dependency tree before evaluating and report dynamic requires as misses.', ()=>{      const loads = {};      const onLoaded = event=>{loads[event.target] = [...(loads[event.target] || []), event.sync];};      requireX.on('loaded', onLoaded);      return requireX({basedir:prefetchDir, prefetch:true}, './a').then(exports=>{        requireX.removeListener('loaded', onLoaded);        expect(exports).to.deep.equal({b:{testParam:2}, c:{testParam:3}});        expect(loads[b][0]).to.be.false;        expect(loads[c]).to.deep.equal([true]);        const report = requireX.prefetchReport();        expect(report.prefetched).to.include.members([a, b]);        expect(report.misses).to.deep.include({target:c, source:a, request:'./c'});        expect(requireX.graph().getEdge(a, b).types).to.include('prefetch');      });    });  });  describe('Detecting dependencies', ()=>{    it('Should find requires, imports, exports and dynamic imports with their positions.', ()=>{      const found = requireX.detect([        "import path from 'path';",        "export {x} from './x';",        "const express = require('express');",        "const resolved = require.resolve('./resolved');",        "import('./lazy');"      ].join('\n'));      expect(found.map(({id, kind})=>[id, kind])).to.deep.equal([        ['path', 'import'],        ['./x', 'export'],        ['express', 'require'],        ['./resolved', 'require.resolve'],        ['./lazy', 'dynamic-import']      ]);      expect(found[2]).to.include({line:3, dynamic:false, conditional:false});    });    it('Should not match requires in comments or strings.', ()=>{      expect(requireX.detect("// require('a')\nconst text = \"require('b')\";\n/* require('c') */")).to.deep.equal([]);    });    it('Should mark dynamic and conditional requires.', ()=>{      const [dynamic, conditional] = requireX.detect("require('./' + name);\nif (test) require('./maybe');");      expect(dynamic).to.include({id:undefined, dynamic:true, expression:"'./' + name"});      expect(conditional).to.include({id:'./maybe', conditional:true});    });    it('Should throw a SyntaxError when the source cannot be parsed.', ()=>{      expect(()=>requireX.detect('require(')).to.throw(SyntaxError);    });  });  describe('Loaders', ()=>{    const loadersDir = path.resolve(testDir+'/forTests/loaders');    const text = {name:'text', extensions:['.txt'], load:content=>content.toString().trim()};    const failing = {name:'failing', priority:10, test:filename=>/\.txt$/.test(filename), load:(content, config)=>{      throw new requireX.loaders.UnsupportedFileError(config.filename, 'Cannot load text');    }};    afterEach(()=>['text', 'failing', 'json-copy'].forEach(name=>requireX.loaders.unregister(name)));    it('Should load files with a registered loader and add its extensions.', ()=>{      requireX.loaders.register(text);      expect(requireX.get('extensions')).to.include('.txt');      return requireX({basedir:loadersDir}, './hello').then(hello=>expect(hello).to.equal('Hello world'));    });    it('Should remove the extensions a loader added when it is unregistered.', ()=>{      requireX.loaders.register(text);      requireX.loaders.register({name:'json-copy', extensions:['.json'], load:content=>JSON.parse(content)});      expect(requireX.loaders.unregister('text')).to.be.true;      expect(requireX.loaders.unregister('json-copy')).to.be.true;      expect(requireX.loaders.unregister('text')).to.be.false;      expect(requireX.get('extensions')).to.deep.equal(['.js', '.json', '.node', '.mjs', '.json5', '.yaml', '.yml', '.toml', '.ini', '.env']);    });    it('Should fall back to the next loader when a loader cannot load the file.', ()=>{      requireX.loaders.register(text);      requireX.loaders.register(failing);      return requireX(loadersDir+'/again.txt').then(again=>expect(again).to.equal('Hello again'));    });    it('Should throw the error from the last loader when no loader can load the file.', ()=>{      requireX.loaders.register(Object.assign({}, failing, {name:'text', priority:0}));      requireX.loaders.register(failing);      return requireX(loadersDir+'/bye.txt').then(()=>{        throw new Error('Expected the load to fail');      }, error=>{        expect(error.code).to.equal('ERR_LOADER_UNSUPPORTED');        expect(error.message).to.equal(`Cannot load text: ${path.resolve(loadersDir+'/bye.txt')}`);      });    });    it('Should not try other loaders when a loader fails, leaving nothing in the cache.', ()=>{      const filename = path.resolve(loadersDir+'/broken.txt');      let textLoads = 0;      requireX.loaders.register(Object.assign({}, text, {load:content=>{        textLoads++;        return text.load(content);      }}));      requireX.loaders.register(Object.assign({}, failing, {load:(content, config)=>{        new requireX.Module(config);        throw new Error('Broken loader');      }}));      return requireX(filename).then(()=>{        throw new Error('Expected the load to fail');      }, error=>{        expect(error.message).to.equal('Broken loader');        expect(textLoads).to.equal(0);        expect(requireX.cache.has(filename)).to.be.false;      });    });  });  describe('Source transforms', ()=>{    const transformsDir = path.resolve(testDir+'/forTests/transforms');    function createReplacer(from, to, extra={}) {      return Object.assign({        name: 'replacer',        options: {from, to},        transform: (source, context)=>source.split(context.options.from).join(context.options.to)      }, extra);    }    it('Should transform the source of a module before it is evaluated.', ()=>{      return requireX({basedir:transformsDir, transforms:[createReplacer('__VALUE__', 'transformed')]}, './module')        .then(exports=>expect(exports.testParam).to.equal('transformed'));    });    it('Should run the chain in priority order, including asynchronous transforms.', ()=>{      const result = requireX.transforms.apply({filename:'/chain.js', content:'a', transforms:[        createReplacer('b', 'c'),        {name:'async', priority:1, transform:source=>Promise.resolve(source.replace('a', 'b'))}      ]});      return result.then(({code})=>expect(code).to.equal('c'));    });    it('Should only apply transforms to included and not excluded files.', ()=>{      const transforms = [createReplacer('a', 'b', {include:/\.js$/, exclude:'*.test.js'})];      expect(requireX.transforms.apply({filename:'/file.txt', content:'a', transforms})).to.be.undefined;      expect(requireX.transforms.apply({filename:'/file.test.js', content:'a', transforms})).to.be.undefined;      expect(requireX.transforms.apply({filename:'/file.js', content:'a', transforms}).code).to.equal('b');    });    it('Should match globs containing a path against the path relative to the working directory.', ()=>{      const transforms = [createReplacer('a', 'b', {include:['src/**/*.js'], exclude:'src/vendor/*.js'})];      const apply = filename=>requireX.transforms.apply({filename:path.resolve(filename), content:'a', transforms});      expect(apply('src/lib/file.js').code).to.equal('b');      expect(apply('src/file.js').code).to.equal('b');      expect(apply('src/vendor/file.js')).to.be.undefined;      expect(apply('test/src/file.js')).to.be.undefined;    });    it('Should not share cached results between transforms with different options.', ()=>{      const apply = to=>requireX.transforms.apply({        filename: '/factory.js',        content: '__VALUE__',        transforms: [createReplacer('__VALUE__', to)]      }).code;      expect(apply('one')).to.equal('one');      expect(apply('two')).to.equal('two');    });    it('Should cache transformed output on disk when transformCacheDir is set.', ()=>{      const fs = require('fs');      const os = require('os');      const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'require-extra-transforms-'));      requireX.set('transformCacheDir', cacheDir);      try {        const result = requireX.transforms.apply({filename:'/disk.js', content:'disk', transforms:[createReplacer('disk', 'cached')]});        expect(result.code).to.equal('cached');        const files = fs.readdirSync(cacheDir);        expect(files.length).to.equal(1);        expect(JSON.parse(fs.readFileSync(path.join(cacheDir, files[0]), 'utf-8')).code).to.equal('cached');      } finally {        requireX.delete('transformCacheDir');        fs.rmSync(cacheDir, {recursive:true, force:true});      }    });  });  describe('Code cache', ()=>{    const fs = require('fs');    const os = require('os');    let cacheDir;    const cacheFiles = ()=>fs.readdirSync(cacheDir)      .reduce((files, dir)=>files.concat(fs.readdirSync(path.join(cacheDir, dir)).map(file=>`${dir}/${file}`)), []);    beforeEach(()=>{      cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'require-extra-code-cache-'));      requireX.set('codeCacheDir', cacheDir);      requireX.codeCache.clear();    });    afterEach(()=>{      requireX.delete('codeCacheDir');      fs.rmSync(cacheDir, {recursive:true, force:true});    });    it('Should write cached data on a miss and use it on the next run.', ()=>{      const script = requireX.codeCache.createScript('module.exports = 1;', {filename:'/cached.js'});      expect(requireX.codeCache.save(script)).to.be.true;      expect(cacheFiles().length).to.equal(1);      requireX.codeCache.createScript('module.exports = 1;', {filename:'/cached.js'});      expect(requireX.codeCache.stats()).to.include({hits:1, misses:1, writes:1});    });    it('Should delete the stale cache files for a script when it is cached again.', ()=>{      requireX.codeCache.save(requireX.codeCache.createScript('module.exports = 1;', {filename:'/pruned.js'}));      requireX.codeCache.save(requireX.codeCache.createScript('module.exports = 1;', {filename:'/other.js'}));      const before = cacheFiles();      requireX.codeCache.save(requireX.codeCache.createScript('module.exports = 2;', {filename:'/pruned.js'}));      const after = cacheFiles();      expect(after.length).to.equal(2);      expect(after.filter(file=>before.includes(file)).length).to.equal(1);    });    it('Should keep the cache files for each V8 version and set of flags apart.', ()=>{      requireX.codeCache.save(requireX.codeCache.createScript('module.exports = 1;', {filename:'/versioned.js'}));      const [versionDir] = fs.readdirSync(cacheDir);      expect(versionDir.startsWith(`v8-${process.versions.v8}-`)).to.be.true;      const [cached] = fs.readdirSync(path.join(cacheDir, versionDir));      fs.mkdirSync(path.join(cacheDir, 'v8-0.0.0-other'));      fs.copyFileSync(path.join(cacheDir, versionDir, cached), path.join(cacheDir, 'v8-0.0.0-other', cached));      requireX.codeCache.save(requireX.codeCache.createScript('module.exports = 2;', {filename:'/versioned.js'}));      expect(fs.readdirSync(path.join(cacheDir, 'v8-0.0.0-other'))).to.deep.equal([cached]);      expect(fs.readdirSync(path.join(cacheDir, versionDir))).to.not.include(cached);    });    it('Should delete the cache files with clear(true).', ()=>{      requireX.codeCache.save(requireX.codeCache.createScript('module.exports = 1;', {filename:'/cleared.js'}));      requireX.codeCache.clear(true);      expect(fs.readdirSync(cacheDir)).to.deep.equal([]);      expect(requireX.codeCache.stats().writes).to.equal(0);    });  });  describe('Source maps', ()=>{    const compiled = path.resolve(testDir+'/forTests/sourceMaps/compiled.js');    const original = path.resolve(testDir+'/forTests/sourceMaps/original.ts');    it('Should point stack traces for errors thrown in a loaded file at the original source.', ()=>{      return requireX(compiled).then(throwError=>{        expect(throwError).to.throw().with.property('stack').that.contains(`${original}:14:`);      });    });    it('Should drop the source map when the module is deleted from the cache.', ()=>{      return requireX(compiled).then(()=>{        expect(requireX.sourceMaps.mapPosition(compiled, 5, 9)).to.include({source:original, line:14});        requireX.cache.delete(compiled);        expect(requireX.sourceMaps.mapPosition(compiled, 5, 9)).to.be.undefined;      });    });    it('Should not map positions in files without a source map.', ()=>{      return requireX(testDir+'/forTests/testModule1.js').then(()=>{        expect(requireX.sourceMaps.mapPosition(path.resolve(testDir+'/forTests/testModule1.js'), 4, 3)).to.be.undefined;      });    });  });  describe('Mocking modules', ()=>{    const mocksDir = path.resolve(testDir+'/forTests/mocks');    const app = path.join(mocksDir, 'app.js');    afterEach(()=>requireX.unmock());    it('Should give the mock to requires of the mocked module and record the calls.', ()=>{      const dbMock = requireX.mock('./db', {mocked:true}, {basedir:mocksDir});      return requireX(app).then(exports=>{        expect(exports.db).to.deep.equal({mocked:true});        expect(dbMock.calls).to.deep.equal([{parent:app, request:'./db', sync:true}]);      });    });    it('Should reload modules depending on a mock once it is removed.', ()=>{      requireX.mock('./db', {mocked:true}, {basedir:mocksDir});      return requireX(app).then(()=>{        requireX.unmock('./db', {basedir:mocksDir});        return requireX(app);      }).then(exports=>expect(exports.db).to.deep.equal({real:true, query:'real'}));    });    it('Should support partial mocks, factories and core modules.', ()=>{      requireX.mock('./db', {query:'mocked'}, {basedir:mocksDir, partial:true});      requireX.mock('os', requireActual=>Object.assign({}, requireActual(), {mocked:true}));      return requireX(app).then(exports=>{        expect(exports.db).to.deep.equal({real:true, query:'mocked'});        expect(exports.os.mocked).to.be.true;        expect(exports.os.platform).to.be.a('function');      });    });    it('Should remove mocks when their scope promise settles.', ()=>{      let end;      const scope = new Promise(resolve=>{end = resolve;});      requireX.mock('./db', {mocked:true}, {basedir:mocksDir, scope});      return requireX(app).then(exports=>{        expect(exports.db).to.deep.equal({mocked:true});        end();        return scope;      }).then(()=>requireX(app)).then(exports=>expect(exports.db).to.deep.equal({real:true, query:'real'}));    });  });  describe('Isolated registries', ()=>{    const instance = path.resolve(testDir+'/forTests/registry/instance.js');    it('Should load separate instances of a module in each registry.', ()=>{      const registry1 = requireX.createRegistry();      const registry2 = requireX.createRegistry();      return Promise.all([requireX(instance), registry1(instance), registry2(instance)]).then(([main, one, two])=>{        expect(one).to.not.equal(main);        expect(one).to.not.equal(two);        expect(one).to.deep.equal(main);        expect(registry1.cache.has(instance)).to.be.true;        registry1.dispose();        registry2.dispose();      });    });    it('Should give each registry its own settings.', ()=>{      const registry = requireX.createRegistry({prefetch:true});      expect(registry.get('prefetch')).to.be.true;      expect(requireX.get('prefetch')).to.be.false;      registry.dispose();    });    it('Should clear the module cache and graph of a registry when it is disposed.', ()=>{      const registry = requireX.createRegistry();      return registry(instance).then(()=>{        expect(registry.graph().has(instance)).to.be.true;        registry.dispose();        expect(registry.cache.has(instance)).to.be.false;        expect(registry.graph().size).to.equal(0);        expect(requireX.graph().has(instance)).to.be.true;      });    });  });  describe('Cache limits', ()=>{    const Store = require(__cwd + 'src/Store');    const {memoize} = require(__cwd + 'src/memoize');    it('Should evict the least recently used entries when over maxSize.', ()=>{      const store = new Store({maxSize:2});      store.set('a', 1).set('b', 2);      store.get('a');      store.set('c', 3);      expect([...store.keys()]).to.deep.equal(['a', 'c']);      expect(store.getStats()).to.include({size:2, evictions:1, hits:1});    });    it('Should skip and drop expired entries when iterating.', done=>{      const store = new Store({ttl:10});      store.set('a', 1);      setTimeout(()=>{        store.set('b', 2);        const found = [];        store.forEach((value, key)=>found.push(key));        expect(found).to.deep.equal(['b']);        expect([...store.entries()]).to.deep.equal([['b', 2]]);        expect([...store]).to.deep.equal([['b', 2]]);        expect(store.size).to.equal(1);        expect(store.getStats().expired).to.equal(1);        done();      }, 20);    });    it('Should measure the memory of nested entries added by memoize when they are read.', ()=>{      const store = new Store({maxMemory:1024 * 1024});      const memoized = memoize((a, b, c)=>`${a}${b}${c}`.repeat(100), {        cache: store,        cacheParams: 3,        resolver: (a, b, c)=>[a, b, c]      });      memoized('a', 'b', 'c');      store.get('a');      const memory = store.getStats().memory;      memoized('a', 'b', 'd');      memoized('a', 'e', 'f');      store.get('a');      expect(store.getStats().memory).to.be.above(memory + 1000);    });    it('Should not count expired entries in the size or stats.', done=>{      const store = new Store({ttl:10, maxMemory:1024 * 1024});      store.set('a', 'expires').set('b', 'expires');      setTimeout(()=>{        expect(store.size).to.equal(0);        expect(store.getStats()).to.include({size:0, memory:0, expired:2});        done();      }, 20);    });    it('Should set limits on the internal stores with the stores setting.', ()=>{      requireX.set('stores', {transformCache:{maxSize:5}});      expect(requireX.getStore('transformCache').maxSize).to.equal(5);      expect(requireX.getStoreStats().transformCache).to.include.keys('hits', 'misses', 'evictions', 'expired');      requireX.set('stores', {transformCache:{}});    });  });  describe('Circular dependencies', ()=>{    const cyclesDir = path.resolve(testDir+'/forTests/cycles');    const [a, b, c, d] = ['a.js', 'b.js', 'c.js', 'd.js'].map(filename=>path.join(cyclesDir, filename));    afterEach(()=>{      requireX.set('strictCycles', false);      [a, b, c, d].forEach(filename=>requireX.cache.delete(filename));    });    it('Should reject with a CycleError when strictCycles is set.', ()=>{      requireX.set('strictCycles', true);      return requireX(a).then(()=>{        throw new Error('Expected a CycleError');      }, error=>{        expect(error.name).to.equal('CycleError');        expect(error.code).to.equal('ERR_REQUIRE_CYCLE');        expect(error.chain).to.deep.equal([a, b, a]);        expect(requireX.cache.has(a)).to.be.false;        expect(requireX.cache.has(b)).to.be.false;      });    });    it('Should reject when a module in a cycle throws, leaving neither module in the cache.', ()=>{      return requireX(c).then(()=>{        throw new Error('Expected the load to fail');      }, error=>{        expect(error.message).to.equal('Thrown inside a cycle');        expect(requireX.cache.has(c)).to.be.false;        expect(requireX.cache.has(d)).to.be.false;      });    });    it('Should fire a cycle event and record the cycle when strictCycles is not set.', ()=>{      let chain;      const onCycle = event=>{chain = event.chain;};      requireX.on('cycle', onCycle);      return requireX(a).then(exports=>{        requireX.removeListener('cycle', onCycle);        expect(exports.testParam).to.equal('a');        expect(exports.b.testParam).to.equal('b');        expect(chain).to.deep.equal([a, b, a]);        expect(requireX.cycleReport().map(({chain})=>chain)).to.deep.include([a, b, a]);      });    });  });  describe('Timeouts and cancelling', ()=>{    const abortDir = path.resolve(testDir+'/forTests/abort');    it('Should reject with an AbortError when the signal is already aborted.', ()=>{      const controller = new AbortController();      const filename = path.join(abortDir, 'fast.js');      controller.abort();      return requireX({signal:controller.signal}, filename).then(()=>{        throw new Error('Expected an AbortError');      }, error=>{        expect(error.name).to.equal('AbortError');        expect(error.code).to.equal('ABORT_ERR');        expect(requireX.cache.has(filename)).to.be.false;      });    });    it('Should not pass the timeout on to the config used to run modules.', ()=>{      const resolver = new requireX.Resolver({timeout:50});      expect(resolver.timeout).to.equal(50);      expect(resolver.export).to.not.have.property('timeout');    });    it('Should reject requireX.resolveAsync() when aborted.', ()=>{      const controller = new AbortController();      controller.abort();      return requireX.resolveAsync({basedir:abortDir, signal:controller.signal}, './fast').then(()=>{        throw new Error('Expected an AbortError');      }, error=>expect(error.name).to.equal('AbortError'));    });  });  describe('Integrity', ()=>{    const fs = require('fs');    const os = require('os');    const {execFileSync} = require('child_process');    const bin = path.resolve(__cwd, 'bin/require-extra-integrity.js');    let tmpDir;    let manifest;    before(()=>{      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'require-extra-integrity-'));      fs.writeFileSync(path.join(tmpDir, 'a.js'), `module.exports = {testParam:'a'};\n`);      fs.writeFileSync(path.join(tmpDir, 'b.js'), `module.exports = {testParam:'b'};\n`);      fs.writeFileSync(path.join(tmpDir, 'c.js'), `module.exports = {}; if (false) require('./b');\n`);      manifest = path.join(tmpDir, 'integrity.json');      execFileSync(process.execPath, [bin, tmpDir, '-o', manifest]);      fs.writeFileSync(path.join(tmpDir, 'b.js'), `module.exports = {testParam:'changed'};\n`);      requireX.set('integrity', {manifest});    });    after(()=>{      requireX.delete('integrity');      fs.rmSync(tmpDir, {recursive:true, force:true});    });    it('The require-extra-integrity command should write a manifest of the files.', ()=>{      const {algorithm, root, files} = JSON.parse(fs.readFileSync(manifest, 'utf-8'));      expect(algorithm).to.equal('sha384');      expect(root).to.equal('.');      expect(Object.keys(files).sort()).to.deep.equal(['a.js', 'b.js', 'c.js']);    });    it('Should load files matching the manifest.', ()=>      requireX(path.join(tmpDir, 'a.js')).then(a=>expect(a.testParam).to.equal('a'))    );    it('Should not fail when a prefetched require of a changed file is never loaded.', ()=>{      const rejections = [];      const onRejection = reason=>rejections.push(reason);      process.on('unhandledRejection', onRejection);      return requireX(path.join(tmpDir, 'c.js'))        .then(()=>new Promise(resolve=>setTimeout(resolve, 100)))        .then(()=>{          process.removeListener('unhandledRejection', onRejection);          expect(rejections).to.deep.equal([]);          expect(requireX.integrityReport().map(({filename})=>filename)).to.not.include(path.join(tmpDir, 'b.js'));        }, error=>{          process.removeListener('unhandledRejection', onRejection);          throw error;        });    });    it('Should reject with an IntegrityError when a changed file is loaded.', ()=>      requireX(path.join(tmpDir, 'b.js')).then(()=>{        throw new Error('Expected an IntegrityError');      }, error=>{        expect(error.name).to.equal('IntegrityError');        expect(error.code).to.equal('ERR_INTEGRITY');        expect(error.reason).to.equal('mismatch');      })    );  });  describe('Lockfile and the resolve cache', ()=>{    const fs = require('fs');    const os = require('os');    const lockfile = require(__cwd + 'src/lockfile');    let tmpDir;    beforeEach(()=>{      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'require-extra-lockfile-'));      fs.writeFileSync(path.join(tmpDir, 'x.js'), `module.exports = 'js';\n`);      fs.writeFileSync(path.join(tmpDir, 'x.json'), `"json"\n`);      fs.writeFileSync(path.join(tmpDir, 'other.js'), `module.exports = 'other';\n`);    });    afterEach(()=>{      requireX.delete('lockfile');      lockfile.clear();      fs.rmSync(tmpDir, {recursive:true, force:true});    });    it('Should not cache failed resolutions.', ()=>      requireX.resolveAsync({basedir:tmpDir}, './later').then(()=>{        throw new Error('Expected ./later not to resolve');      }, error=>{        expect(error.code).to.equal('MODULE_NOT_FOUND');        fs.writeFileSync(path.join(tmpDir, 'later.js'), `module.exports = 'later';\n`);        return requireX.resolveAsync({basedir:tmpDir}, './later');      }).then(resolved=>expect(resolved).to.equal(path.join(tmpDir, 'later.js')))    );    it('Should not share cached resolutions between resolvers with different extensions.', ()=>      requireX.resolveAsync({basedir:tmpDir}, './x')        .then(resolved=>{          expect(resolved).to.equal(path.join(tmpDir, 'x.js'));          return requireX.resolveAsync({basedir:tmpDir, extensions:['.json']}, './x');        })        .then(resolved=>expect(resolved).to.equal(path.join(tmpDir, 'x.json')))    );    it('Should record resolutions and write them to the lockfile.', ()=>{      const file = path.join(tmpDir, 'require.lock.json');      requireX.set('lockfile', {file, mode:'record'});      return requireX.resolveAsync({basedir:tmpDir}, './x').then(()=>{        const written = requireX.writeLockfile();        expect(written.resolutions).to.deep.equal({'.': {'./x':'x.js'}});        expect(JSON.parse(fs.readFileSync(file, 'utf-8'))).to.deep.equal(written);      });    });    it('Should seed the resolve cache from the replayed lockfile.', ()=>{      const file = path.join(tmpDir, 'require.lock.json');      fs.writeFileSync(file, JSON.stringify({        version: 1,        moduleDirectory: 'node_modules',        resolutions: {'.': {'./x':'other.js'}},        directories: {}      }));      return requireX.resolveAsync({basedir:tmpDir}, './x').then(resolved=>{        expect(resolved).to.equal(path.join(tmpDir, 'x.js'));        requireX.set('lockfile', {file, mode:'replay'});        return requireX.resolveAsync({basedir:tmpDir}, './x');      }).then(resolved=>{        expect(resolved).to.equal(path.join(tmpDir, 'other.js'));        expect(requireX.resolve({basedir:tmpDir}, './x')).to.equal(path.join(tmpDir, 'other.js'));        requireX.getStore('resolveCache').clear();        return requireX.resolveAsync({basedir:tmpDir}, './x');      }).then(resolved=>{        expect(resolved).to.equal(path.join(tmpDir, 'x.js'));      });    });    it('Should not replay resolutions to files that no longer exist.', ()=>{      const file = path.join(tmpDir, 'require.lock.json');      fs.writeFileSync(file, JSON.stringify({        version: 1,        moduleDirectory: 'node_modules',        resolutions: {'.': {'./gone':'gone.js'}},        directories: {}      }));      requireX.set('lockfile', {file, mode:'replay', strict:true});      return requireX.resolveAsync({basedir:tmpDir}, './gone').then(()=>{        throw new Error('Expected a LockfileError');      }, error=>{        expect(error.code).to.equal('ERR_LOCKFILE_MISSING');      });    });    it('Should not share cached resolutions between resolvers with different filters.', ()=>{      const pkgDir = path.join(tmpDir, 'node_modules', 'filtered');      fs.mkdirSync(pkgDir, {recursive:true});      fs.writeFileSync(path.join(pkgDir, 'package.json'), JSON.stringify({name:'filtered', main:'a.js'}));      fs.writeFileSync(path.join(pkgDir, 'a.js'), `module.exports = 'a';\n`);      fs.writeFileSync(path.join(pkgDir, 'b.js'), `module.exports = 'b';\n`);      const packageFilter = pkg=>Object.assign({}, pkg, {main:'b.js'});      return requireX.resolveAsync({basedir:tmpDir}, 'filtered')        .then(resolved=>{          expect(resolved).to.equal(path.join(pkgDir, 'a.js'));          return requireX.resolveAsync({basedir:tmpDir, packageFilter}, 'filtered');        })        .then(resolved=>expect(resolved).to.equal(path.join(pkgDir, 'b.js')));    });    it('Should reject resolutions not in the lockfile when replaying strictly.', ()=>{      const file = path.join(tmpDir, 'require.lock.json');      fs.writeFileSync(file, JSON.stringify({version:1, resolutions:{}, directories:{}}));      requireX.set('lockfile', {file, mode:'replay', strict:true});      return requireX.resolveAsync({basedir:tmpDir}, './x').then(()=>{        throw new Error('Expected a LockfileError');      }, error=>{        expect(error.name).to.equal('LockfileError');        expect(error.code).to.equal('ERR_LOCKFILE_MISSING');      });    });  });  describe('Bundling', ()=>{    const fs = require('fs');    const os = require('os');    const {execFileSync} = require('child_process');    const bundleDir = path.resolve(testDir+'/forTests/bundle');    let tmpDir;    before(()=>{      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'require-extra-bundle-'));    });    after(()=>fs.rmSync(tmpDir, {recursive:true, force:true}));    it('Should write a bundle of the modules loaded that runs without requireX.', ()=>{      const output = path.join(tmpDir, 'app.js');      return requireX.bundle('./app', {output, basedir:bundleDir}).then(code=>{        expect(fs.readFileSync(output, 'utf-8')).to.equal(code);        expect(code).to.contain('lib.js');        expect(code).to.contain('data.json');        expect(code).to.not.contain('unused.js');        const exported = execFileSync(process.execPath, ['-e', `process.stdout.write(JSON.stringify(require(${JSON.stringify(output)})))`], {cwd:tmpDir});        expect(JSON.parse(exported)).to.deep.equal({testParam:'lib', data:{testParam:'data'}, eol:(os.EOL === '\n')});      });    });    it('Should resolve ids in the bundle and throw for relative requests that were not bundled.', ()=>{      const output = path.join(tmpDir, 'lazy.js');      const answerId = 'data:text/javascript,module.exports%20%3D%2042%3B';      return requireX.bundle('./lazy', {output, basedir:bundleDir}).then(()=>{        const script = `          const lazy = require(${JSON.stringify(output)});          const notBundled = id=>{try {lazy.load(id);} catch(error) {return [error.code, error.message];}};          process.stdout.write(JSON.stringify({            testParam: lazy.testParam,            answer: lazy.answer,            lib: lazy.resolve('./lib'),            answerId: lazy.resolve(${JSON.stringify(answerId)}),            unused: notBundled('./unused'),            os: lazy.load('os') === require('os')          }));`;        const result = JSON.parse(execFileSync(process.execPath, ['-e', script], {cwd:tmpDir}));        expect(result.testParam).to.equal('lib');        expect(result.answer).to.equal(42);        expect(result.lib).to.equal(path.join(bundleDir, 'lib.js'));        expect(result.answerId).to.equal(answerId);        expect(result.unused[0]).to.equal('MODULE_NOT_BUNDLED');        expect(result.unused[1]).to.contain('./unused').and.to.contain('not bundled');        expect(result.os).to.be.true;      });    });  });  describe('Virtual modules', ()=>{    const virtualDir = path.resolve(testDir+'/forTests/virtual');    afterEach(()=>{      ['./generated', './defaults.json', 'my-helpers', './user'].forEach(id=>requireX.undefine(id, {basedir:virtualDir}));    });    it('Should define a module from source and load it like a file.', ()=>{      const filename = requireX.define('./generated', `module.exports = {testParam:'generated', filename:__filename};`, {basedir:virtualDir});      expect(filename).to.equal(path.join(virtualDir, 'generated.js'));      return requireX(path.join(virtualDir, 'generated')).then(generated=>{        expect(generated).to.deep.equal({testParam:'generated', filename});      });    });    it('Should use the loader for the extension given.', ()=>{      requireX.define('./defaults.json', '{"port": 8080}', {basedir:virtualDir});      return requireX(path.join(virtualDir, 'defaults.json')).then(defaults=>expect(defaults).to.deep.equal({port:8080}));    });    it('Should define exports for a bare id so it resolves like a package.', ()=>{      const helpers = {format:value=>`${value}!`};      requireX.define('my-helpers', helpers, {basedir:virtualDir});      return requireX.resolveAsync({basedir:virtualDir}, 'my-helpers').then(resolved=>{        expect(resolved.startsWith(path.join(virtualDir, 'node_modules', 'my-helpers'))).to.be.true;        return requireX({basedir:virtualDir}, 'my-helpers');      }).then(exported=>expect(exported).to.equal(helpers));    });    it('Should find a module defined after the id failed to resolve.', ()=>      requireX.resolveAsync({basedir:virtualDir}, './user').then(()=>{        throw new Error('Expected ./user not to resolve');      }, ()=>{        requireX.define('./user', `module.exports = 'user';`, {basedir:virtualDir});        return requireX({basedir:virtualDir}, './user');      }).then(user=>expect(user).to.equal('user'))    );    it('Should replace a module when defined again and remove it when undefined.', ()=>{      const filename = requireX.define('./generated', `module.exports = 1;`, {basedir:virtualDir});      return requireX(filename).then(first=>{        expect(first).to.equal(1);        requireX.define('./generated', `module.exports = 2;`, {basedir:virtualDir});        expect(requireX.cache.has(filename)).to.be.false;        return requireX(filename);      }).then(second=>{        expect(second).to.equal(2);        expect(requireX.undefine('./generated', {basedir:virtualDir})).to.be.true;        return requireX.resolveAsync({basedir:virtualDir}, './generated');      }).then(()=>{        throw new Error('Expected ./generated not to resolve once undefined');      }, error=>expect(error.code).to.equal('MODULE_NOT_FOUND'));    });  });  describe('Protocols', ()=>{    const files = {      'testapp:main.js': `module.exports = {lib:require('./lib'), users:require('./routes/users')};`,      'testapp:lib.js': `module.exports = 'lib';`,      'testapp:routes/users.js': `module.exports = 'users:' + require('../lib');`,      'testapp:routes/posts.js': `module.exports = 'posts';`    };    before(()=>requireX.protocols.register({      scheme: 'testapp',      resolve: (id, {basedir})=>{        const _id = (/^\.{1,2}\//.test(id) ? path.posix.join(basedir.replace(/^testapp:/, ''), id) : id.replace(/^testapp:/, ''));        return `testapp:${_id}${path.extname(_id) ? '' : '.js'}`;      },      read: id=>files[id],      list: dirId=>Object.keys(files)        .filter(id=>(path.posix.dirname(id.replace(/^testapp:/, '')) === dirId.replace(/^testapp:/, '')))        .map(id=>path.posix.basename(id))    }));    after(()=>requireX.protocols.unregister('testapp'));    it('Should load data: ids using the loader for their mime type.', ()=>      Promise.all([        requireX('data:text/javascript,module.exports%20%3D%2042%3B'),        requireX('data:application/json;base64,eyJwb3J0Ijo4MDgwfQ==')      ]).then(([answer, config])=>{        expect(answer).to.equal(42);        expect(config).to.deep.equal({port:8080});      })    );    it('Should resolve relative requires from modules at the top level of a scheme through the protocol.', ()=>      requireX('testapp:main').then(main=>{        expect(main).to.deep.equal({lib:'lib', users:'users:lib'});        expect(requireX.sync('testapp:main')).to.equal(main);      })    );    it('Should give the scheme as the directory of ids at the top level.', ()=>{      expect(requireX.protocols.dirname('testapp:main.js')).to.equal('testapp:');      expect(requireX.protocols.dirname('testapp:routes/users.js')).to.equal('testapp:routes');      expect(requireX.protocols.dirname('/some/dir/file.js')).to.equal('/some/dir');    });    it('Should import a directory through the protocol list function.', ()=>      requireX.import('testapp:routes').then(routes=>{        expect(routes).to.deep.equal({users:'users:lib', posts:'posts'});      })    );    it('Should not allow the node: scheme to be registered.', ()=>{      expect(()=>requireX.protocols.register({scheme:'node'})).to.throw(TypeError);    });  });  describe('Aliases and package imports', ()=>{    const aliasesDir = path.resolve(testDir+'/forTests/aliases');    const aliases = {      '~': path.join(aliasesDir, 'src'),      'config$': path.join(aliasesDir, 'config/index.js'),      'views/*': path.join(aliasesDir, 'src/views/*.js'),      'jquery': 'express',      'fs-extra': false    };    it('Should map prefix, exact and pattern aliases.', ()=>{      const options = {basedir:aliasesDir, aliases};      return Promise.all([        requireX.resolveAsync(options, '~/lib/utils'),        requireX.resolveAsync(options, 'config'),        requireX.resolveAsync(options, 'views/home')      ]).then(resolved=>{        expect(resolved).to.deep.equal([          path.join(aliasesDir, 'src/lib/utils.js'),          path.join(aliasesDir, 'config/index.js'),          path.join(aliasesDir, 'src/views/home.js')        ]);        expect(requireX.resolve(options, '~/lib/utils')).to.equal(path.join(aliasesDir, 'src/lib/utils.js'));      });    });    it('Should resolve relative alias targets in the aliases option from the resolver basedir.', ()=>{      const options = {basedir:aliasesDir, aliases:{'~':'./src'}};      expect(requireX.resolve(options, '~/lib/utils')).to.equal(path.join(aliasesDir, 'src/lib/utils.js'));      return requireX.resolveAsync(options, '~/lib/utils').then(resolved=>{        expect(resolved).to.equal(path.join(aliasesDir, 'src/lib/utils.js'));      });    });    it('Should resolve relative alias targets in the aliases setting from the default basedir, in every module.', ()=>{      const parentDir = path.dirname(requireX.get('parent').filename || requireX.get('parent'));      requireX.set('aliases', {'~':`./${path.relative(parentDir, path.join(aliasesDir, 'src'))}`});      return requireX(path.join(aliasesDir, 'src/lib/viaAlias.js')).then(home=>{        requireX.delete('aliases');        expect(home.testParam).to.equal('views/home');      }, error=>{        requireX.delete('aliases');        throw error;      });    });    it('Should map one package to another and false to an empty module.', ()=>      Promise.all([        requireX.resolveAsync({basedir:testDir, aliases}, 'jquery'),        requireX({basedir:testDir, aliases}, 'fs-extra')      ]).then(([resolved, empty])=>{        expect(resolved).to.equal(path.resolve(testDir, 'node_modules/express/index.js'));        expect(empty).to.deep.equal({});      })    );    it('Should use the aliases setting.', ()=>{      requireX.set('aliases', {'~': path.join(aliasesDir, 'src')});      return requireX({basedir:aliasesDir}, '~/lib/utils').then(utils=>{        requireX.delete('aliases');        expect(utils.testParam).to.equal('lib/utils');      }, error=>{        requireX.delete('aliases');        throw error;      });    });    it('Should resolve # ids through the package.json imports, using the require condition.', ()=>      Promise.all([        requireX({basedir:path.join(aliasesDir, 'src/lib')}, '#internal/helper'),        requireX.resolveAsync({basedir:aliasesDir}, '#config')      ]).then(([helper, config])=>{        expect(helper.testParam).to.equal('internal/helper');        expect(config).to.equal(path.join(aliasesDir, 'config/index.js'));        expect(requireX.resolve({basedir:aliasesDir}, '#internal/helper')).to.equal(path.join(aliasesDir, 'src/internal/helper.js'));      })    );    it('Should import the directory a # pattern points to.', ()=>      requireX.import('#internal', {basedir:aliasesDir}).then(internal=>{        expect(internal).to.deep.equal({helper:{testParam:'internal/helper'}});      })    );    it('Should reject # ids not in the imports (or mapped to null) with a PackageImportError.', ()=>      Promise.all(['#missing', '#blocked'].map(id=>requireX.resolveAsync({basedir:aliasesDir}, id).then(()=>{        throw new Error(`Expected ${id} not to resolve`);      }, error=>{        expect(error.name).to.equal('PackageImportError');        expect(error.code).to.equal('ERR_PACKAGE_IMPORT_NOT_DEFINED');      })))    );  });  describe('Package exports', ()=>{    const pkgDir = path.resolve(testDir, 'node_modules/exports-pkg');    it('Should resolve the package through its exports using the require condition.', ()=>      requireX.resolveAsync({basedir:testDir}, 'exports-pkg').then(resolved=>{        expect(resolved).to.equal(path.join(pkgDir, 'src/index.js'));        expect(requireX.resolve({basedir:testDir}, 'exports-pkg')).to.equal(path.join(pkgDir, 'src/index.js'));      })    );    it('Should use the conditions option.', ()=>      requireX.resolveAsync({basedir:testDir, conditions:['custom', 'require', 'default']}, 'exports-pkg').then(resolved=>{        expect(resolved).to.equal(path.join(pkgDir, 'src/custom.js'));      })    );    it('Should resolve exact and pattern subpaths.', ()=>      Promise.all([        requireX({basedir:testDir}, 'exports-pkg/feature'),        requireX({basedir:testDir}, 'exports-pkg/lib/public')      ]).then(([feature, lib])=>{        expect(feature.testParam).to.equal('src/feature');        expect(lib.testParam).to.equal('lib/public');      })    );    it('Should let a package require itself by name.', ()=>      requireX(path.join(pkgDir, 'src/self.js')).then(self=>expect(self.self.testParam).to.equal('src/feature'))    );    it('Should reject subpaths that are not exported, or are blocked, with a PackageExportError.', ()=>      Promise.all([['exports-pkg/src/feature.js', false], ['exports-pkg/lib/internal', true]].map(([id, blocked])=>        requireX.resolveAsync({basedir:testDir}, id).then(()=>{          throw new Error(`Expected ${id} not to resolve`);        }, error=>{          expect(error.name).to.equal('PackageExportError');          expect(error.code).to.equal('ERR_PACKAGE_PATH_NOT_EXPORTED');          expect(error.filename).to.equal(path.join(pkgDir, 'package.json'));          expect(error.blocked).to.equal(blocked);        })      ))    );  });  describe('Explaining resolution', ()=>{    const {execFileSync} = require('child_process');    const bin = path.resolve(__cwd, 'bin/require-extra-explain.js');    const graphDir = path.resolve(testDir+'/forTests/graph');    const aliasesDir = path.resolve(testDir+'/forTests/aliases');    it('Should trace the paths checked and where the result came from.', ()=>      requireX.explain('./b', {basedir:graphDir}).then(trace=>{        expect(trace.type).to.equal('module');        expect(trace.resolved).to.equal(path.join(graphDir, 'b.js'));        expect(trace.error).to.be.undefined;        expect(trace.candidates).to.deep.include({path:path.join(graphDir, 'b.js'), check:'isFile', found:true, source:'basedir'});        return requireX.resolveAsync({basedir:graphDir}, './b').then(()=>requireX.explain('./b', {basedir:graphDir}));      }).then(trace=>{        expect(trace.cache.hit).to.be.true;        expect(trace.fromCache).to.be.true;        expect(trace.stale).to.be.false;      })    );    it('Should give the mapping applied.', ()=>      requireX.explain('~/lib/utils', {basedir:aliasesDir, aliases:{'~': path.join(aliasesDir, 'src')}}).then(trace=>{        expect(trace.mapped.id).to.equal(path.join(aliasesDir, 'src/lib/utils'));        expect(trace.mapped.via.length).to.equal(1);        expect(trace.resolved).to.equal(path.join(aliasesDir, 'src/lib/utils.js'));      })    );    it('Should give the error for ids that do not resolve.', ()=>      requireX.explain('./missing', {basedir:graphDir}).then(trace=>{        expect(trace.resolved).to.be.undefined;        expect(trace.error.code).to.equal('MODULE_NOT_FOUND');      })    );    it('The require-extra-explain command should print the trace.', ()=>{      const text = execFileSync(process.execPath, [bin, './b', '-b', graphDir], {encoding:'utf-8'});      expect(text).to.contain(`Resolving "./b" from ${graphDir}`);      expect(text).to.contain('resolved to ./b.js');      const trace = JSON.parse(execFileSync(process.execPath, [bin, './b', '--basedir', graphDir, '--json'], {encoding:'utf-8'}));      expect(trace.resolved).to.equal(path.join(graphDir, 'b.js'));      expect(trace.candidates.length).to.be.above(0);    });    it('The require-extra-explain command should exit with 1 when the id does not resolve.', ()=>{      let status = 0;      try {        execFileSync(process.execPath, [bin, './missing', '-b', graphDir], {encoding:'utf-8', stdio:'pipe'});      } catch(error) {        status = error.status;        expect(error.stdout).to.contain('failed:');      }      expect(status).to.equal(1);    });  });  describe('Module not found suggestions', ()=>{    const os = require('os');    const suggestDir = path.resolve(testDir+'/forTests/suggest');    const notFound = (options, moduleId)=>requireX.resolveAsync(options, moduleId).then(()=>{      throw new Error(`Expected ${moduleId} not to resolve`);    }, error=>error);    it('Should reject with a ModuleNotFoundError giving the basedir and directories searched.', ()=>      notFound({basedir:suggestDir}, './nope').then(error=>{        expect(error.name).to.equal('ModuleNotFoundError');        expect(error.code).to.equal('MODULE_NOT_FOUND');        expect(error.moduleId).to.equal('./nope');        expect(error.basedir).to.equal(suggestDir);        expect(error.searched).to.deep.equal([suggestDir]);      })    );    it('Should suggest files with a different case, extension or a close name.', ()=>      Promise.all([        notFound({basedir:suggestDir}, './helper'),        notFound({basedir:suggestDir}, './config.js'),        notFound({basedir:suggestDir}, './utilz')      ]).then(errors=>{        expect(errors.map(error=>error.suggestions[0])).to.deep.equal([          {id:'./Helper.js', reason:'case', path:path.join(suggestDir, 'Helper.js')},          {id:'./config.json', reason:'extension', path:path.join(suggestDir, 'config.json')},          {id:'./utils.js', reason:'typo', path:path.join(suggestDir, 'utils.js')}        ]);        expect(errors[0].message).to.contain('./Helper.js (wrong case)');      })    );    it('Should suggest close package and core module names.', ()=>      Promise.all([notFound({basedir:testDir}, 'expres'), notFound({basedir:testDir}, 'pth')]).then(([expres, pth])=>{        expect(expres.suggestions).to.deep.include({id:'express', reason:'typo', path:path.resolve(testDir, 'node_modules/express')});        expect(pth.suggestions).to.deep.include({id:'path', reason:'typo', path:'path'});      })    );    it('Should suggest a package found under a root that was not searched.', ()=>{      requireX.set('roots', [testDir]);      return notFound({basedir:os.tmpdir()}, 'express').then(error=>{        requireX.delete('roots');        expect(error.suggestions).to.deep.include({          id:path.resolve(testDir, 'node_modules/express'),          reason:'root',          path:path.resolve(testDir, 'node_modules/express')        });      }, error=>{        requireX.delete('roots');        throw error;      });    });    it('Should give the chain of modules leading to the failed require.', ()=>{      return requireX(path.join(suggestDir, 'chain.js')).then(()=>{        throw new Error('Expected a ModuleNotFoundError');      }, error=>{        expect(error.name).to.equal('ModuleNotFoundError');        expect(error.parent).to.equal(path.join(suggestDir, 'broken.js'));        expect(error.requireChain).to.deep.equal([path.join(suggestDir, 'chain.js'), path.join(suggestDir, 'broken.js')]);      });    });  });  describe('Version ranges', ()=>{    const fs = require('fs');    const os = require('os');    let tmpDir;    const addPackage = (dir, name, version)=>{      const pkgDir = path.join(tmpDir, dir);      fs.mkdirSync(path.join(pkgDir, 'fp'), {recursive:true});      fs.writeFileSync(path.join(pkgDir, 'package.json'), JSON.stringify({name, version}));      fs.writeFileSync(path.join(pkgDir, 'index.js'), `module.exports = {version:'${version}'};\n`);      fs.writeFileSync(path.join(pkgDir, 'fp/index.js'), `module.exports = {fp:'${version}'};\n`);      return pkgDir;    };    before(()=>{      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'require-extra-version-'));      addPackage('node_modules/lodash', 'lodash', '4.17.21');      addPackage('node_modules/plugin/node_modules/lodash', 'lodash', '3.10.1');      addPackage('node_modules/@scope/plugin/node_modules/lodash', 'lodash', '4.0.0');    });    after(()=>fs.rmSync(tmpDir, {recursive:true, force:true}));    it('Should pick the highest installed copy satisfying the range in the id.', ()=>      Promise.all([        requireX({basedir:tmpDir}, 'lodash@^4'),        requireX({basedir:tmpDir}, 'lodash@^3'),        requireX({basedir:tmpDir}, 'lodash@^3/fp')      ]).then(([v4, v3, fp])=>{        expect(v4.version).to.equal('4.17.21');        expect(v3.version).to.equal('3.10.1');        expect(fp.fp).to.equal('3.10.1');        expect(requireX.resolve({basedir:tmpDir}, 'lodash@^3')).to.equal(path.join(tmpDir, 'node_modules/plugin/node_modules/lodash/index.js'));      })    );    it('Should apply the version option to bare ids, looking in scoped packages.', ()=>      requireX.resolveAsync({basedir:tmpDir, version:'>=4 <4.10'}, 'lodash').then(resolved=>{        expect(resolved).to.equal(path.join(tmpDir, 'node_modules/@scope/plugin/node_modules/lodash/index.js'));      })    );    it('Should reject with a VersionNotFoundError listing the copies found.', ()=>      requireX.resolveAsync({basedir:tmpDir}, 'lodash@^5').then(()=>{        throw new Error('Expected a VersionNotFoundError');      }, error=>{        expect(error.name).to.equal('VersionNotFoundError');        expect(error.code).to.equal('ERR_VERSION_NOT_FOUND');        expect(error.found.map(({version})=>version).sort()).to.deep.equal(['3.10.1', '4.0.0', '4.17.21']);      })    );    it('Should cache the copies found until the version store is cleared.', ()=>{      const versionCache = requireX.getStore('versionCache');      return requireX.resolveAsync({basedir:tmpDir}, 'lodash@^2').then(()=>{        throw new Error('Expected a VersionNotFoundError');      }, ()=>{        addPackage('node_modules/old-plugin/node_modules/lodash', 'lodash', '2.4.2');        expect(()=>requireX.resolve({basedir:tmpDir}, 'lodash@^2')).to.throw('lodash');        versionCache.clear();        return requireX.resolveAsync({basedir:tmpDir}, 'lodash@^2');      }).then(resolved=>{        expect(resolved).to.equal(path.join(tmpDir, 'node_modules/old-plugin/node_modules/lodash/index.js'));      });    });  });});
\ No newline at end of file